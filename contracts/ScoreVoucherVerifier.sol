@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @title Score vouchers for the EgoBust reward contract
+/// @notice Accepts scores signed by the score verification service (server/).
+/// The reward contract inherits this, books scores in `_recordScore` and
+/// removes its public `addScore` or limits it to the owner, since that would
+/// still take any score. See "Deploying a voucher contract" in the README.
+abstract contract ScoreVoucherVerifier is EIP712 {
+    /// @dev Mirrors SCORE_VOUCHER_TYPES in src/contracts/scoreVoucher.js
+    struct ScoreVoucher {
+        address player;
+        uint256 score;
+        string difficulty;
+        string mode;
+        bytes32 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant SCORE_VOUCHER_TYPEHASH = keccak256(
+        "ScoreVoucher(address player,uint256 score,string difficulty,string mode,bytes32 nonce,uint256 deadline)"
+    );
+
+    /// @notice The verifier's signing address (`signer` in its GET /health)
+    address public scoreSigner;
+
+    /// @notice Voucher nonces already spent; the verifier uses the game session id
+    mapping(bytes32 => bool) public usedNonces;
+
+    event ScoreSignerChanged(address indexed signer);
+    event ScoreVerified(address indexed player, uint256 score, bytes32 indexed nonce);
+
+    error NotVoucherPlayer();
+    error VoucherExpired();
+    error VoucherUsed();
+    error InvalidVoucherSignature();
+
+    /// @dev The domain matches the verifier's: { name: "EgoBust", version: "1", chainId, verifyingContract }
+    constructor(address signer) EIP712("EgoBust", "1") {
+        _setScoreSigner(signer);
+    }
+
+    /// @notice Save a score the verifier re-simulated and signed
+    function addScoreWithVoucher(ScoreVoucher calldata voucher, bytes calldata signature) external {
+        if (voucher.player != msg.sender) revert NotVoucherPlayer();
+        if (block.timestamp > voucher.deadline) revert VoucherExpired();
+        if (usedNonces[voucher.nonce]) revert VoucherUsed();
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    SCORE_VOUCHER_TYPEHASH,
+                    voucher.player,
+                    voucher.score,
+                    keccak256(bytes(voucher.difficulty)),
+                    keccak256(bytes(voucher.mode)),
+                    voucher.nonce,
+                    voucher.deadline
+                )
+            )
+        );
+        if (ECDSA.recover(digest, signature) != scoreSigner) revert InvalidVoucherSignature();
+
+        usedNonces[voucher.nonce] = true;
+        emit ScoreVerified(voucher.player, voucher.score, voucher.nonce);
+        _recordScore(voucher.player, voucher.score);
+    }
+
+    /// @dev For the inheriting contract to expose behind its own access control,
+    /// e.g. when the verifier's key is rotated
+    function _setScoreSigner(address signer) internal {
+        scoreSigner = signer;
+        emit ScoreSignerChanged(signer);
+    }
+
+    /// @dev What addScore did for the player: totals, game count, pending rewards
+    function _recordScore(address player, uint256 score) internal virtual;
+}
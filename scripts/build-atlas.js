@@ -0,0 +1,132 @@
+import { mkdir, readdir, readFile, rm, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PNG } from "pngjs";
+import { CELL_SIZE, MAX_SHEET_SIZE } from "../src/render/spriteAtlas.js";
+
+// Packs the numbered PNGs of every skin pack (public/skins/index.json) into
+// sprite sheets plus a JSON manifest per pack, written to public/atlas/<pack>/
+// (see src/render/spriteAtlas.js and src/skins/skinPacks.js).
+// Usage: node scripts/build-atlas.js
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+const SKINS_DIR = path.join(PUBLIC_DIR, "skins");
+const OUTPUT_DIR = path.join(PUBLIC_DIR, "atlas");
+
+// Area-average downscale into a CELL_SIZE square, keeping the aspect ratio
+// (like object-fit: contain). Colour is premultiplied so transparent pixels
+// don't bleed dark fringes into the edges.
+const drawIntoCell = (source, sheet, cellX, cellY) => {
+  const fit = CELL_SIZE / Math.max(source.width, source.height);
+  const width = Math.max(1, Math.round(source.width * fit));
+  const height = Math.max(1, Math.round(source.height * fit));
+  const offsetX = cellX + Math.floor((CELL_SIZE - width) / 2);
+  const offsetY = cellY + Math.floor((CELL_SIZE - height) / 2);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * source.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * source.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * source.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * source.width) / width));
+
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * source.width + sx) * 4;
+          const alpha = source.data[i + 3];
+          r += source.data[i] * alpha;
+          g += source.data[i + 1] * alpha;
+          b += source.data[i + 2] * alpha;
+          a += alpha;
+        }
+      }
+
+      const o = ((offsetY + y) * sheet.width + offsetX + x) * 4;
+      const samples = (x1 - x0) * (y1 - y0);
+      if (a > 0) {
+        sheet.data[o] = Math.round(r / a);
+        sheet.data[o + 1] = Math.round(g / a);
+        sheet.data[o + 2] = Math.round(b / a);
+      }
+      sheet.data[o + 3] = Math.round(a / samples);
+    }
+  }
+};
+
+const listImages = async (sourceDir) => {
+  const files = (await readdir(sourceDir)).filter((file) => /^\d+\.png$/.test(file));
+  // Sprite indices follow the numeric file names, so 10.png comes after 9.png
+  return files.sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+};
+
+const packImages = async (sourceDir, outputDir) => {
+  const files = await listImages(sourceDir);
+  if (files.length === 0) throw new Error(`No images found in ${sourceDir}`);
+  const publicPath = `/${path.relative(PUBLIC_DIR, outputDir).split(path.sep).join("/")}`;
+
+  const columns = Math.min(files.length, Math.floor(MAX_SHEET_SIZE / CELL_SIZE));
+  const perSheet = columns * Math.floor(MAX_SHEET_SIZE / CELL_SIZE);
+
+  await mkdir(outputDir, { recursive: true });
+
+  const sheets = [];
+  const sprites = [];
+  for (let start = 0; start < files.length; start += perSheet) {
+    const batch = files.slice(start, start + perSheet);
+    const rows = Math.ceil(batch.length / columns);
+    const sheet = new PNG({ width: columns * CELL_SIZE, height: rows * CELL_SIZE });
+    sheet.data.fill(0);
+
+    for (const [i, file] of batch.entries()) {
+      const x = (i % columns) * CELL_SIZE;
+      const y = Math.floor(i / columns) * CELL_SIZE;
+      try {
+        drawIntoCell(PNG.sync.read(await readFile(path.join(sourceDir, file))), sheet, x, y);
+      } catch (err) {
+        // A broken image leaves its cell empty instead of failing the build
+        console.warn(`⚠️ Skipping ${file}: ${err.message}`);
+      }
+      sprites.push({ sheet: sheets.length, x, y, source: file });
+    }
+
+    const name = `sheet-${sheets.length}.png`;
+    const target = path.join(outputDir, name);
+    await writeFile(target, PNG.sync.write(sheet));
+    sheets.push({ url: `${publicPath}/${name}`, width: sheet.width, height: sheet.height, bytes: (await stat(target)).size });
+  }
+
+  return { version: 1, cellSize: CELL_SIZE, count: sprites.length, sheets, sprites };
+};
+
+const readJson = async (file) => JSON.parse(await readFile(file, "utf8"));
+
+// A pack's `images` is relative to its folder, or to public/ when it starts with "/"
+const resolveImagesDir = (packDir, images) =>
+  images.startsWith("/") ? path.join(PUBLIC_DIR, images) : path.join(packDir, images);
+
+const buildAtlas = async () => {
+  const { packs } = await readJson(path.join(SKINS_DIR, "index.json"));
+  await rm(OUTPUT_DIR, { recursive: true, force: true });
+
+  // Packs that share an image folder share its sheets too
+  const packed = new Map();
+  for (const id of packs) {
+    const packDir = path.join(SKINS_DIR, id);
+    const skin = await readJson(path.join(packDir, "skin.json"));
+    if (typeof skin.images !== "string") throw new Error(`Skin pack "${id}" has no images folder`);
+    const sourceDir = resolveImagesDir(packDir, skin.images);
+    const outputDir = path.join(OUTPUT_DIR, id);
+
+    if (!packed.has(sourceDir)) packed.set(sourceDir, await packImages(sourceDir, outputDir));
+    const manifest = packed.get(sourceDir);
+    await mkdir(outputDir, { recursive: true });
+    await writeFile(path.join(outputDir, "manifest.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`✅ ${id}: ${manifest.count} images in ${manifest.sheets.length} sprite sheet(s) (${manifest.sheets[0].url})`);
+  }
+};
+
+buildAtlas().catch((err) => {
+  console.error("❌ Failed to build sprite atlas:", err);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+import { createServer } from "node:http";
+import { generatePrivateKey, privateKeyToAccount } from "viem/accounts";
+import { createVerifier, httpError } from "./verifier.js";
+
+// Score verification service
+// POST /session  { player, daily? }              -> { sessionId, seed, rules, expiresAt }
+// POST /verify   { sessionId, player, replay }    -> { voucher, signature, signer }
+// GET  /replay?player=0x...                       -> { player, score, replay }
+const PORT = Number(process.env.PORT || 8787);
+const CHAIN_ID = Number(process.env.CHAIN_ID || 10143);
+const REWARD_CONTRACT_ADDRESS = process.env.REWARD_CONTRACT_ADDRESS || "0xa2B98D710AB9c0BC5aA4d21552B343A297C83dFF";
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
+const MAX_BODY_BYTES = 256 * 1024;
+
+let privateKey = process.env.VERIFIER_PRIVATE_KEY;
+if (!privateKey) {
+  privateKey = generatePrivateKey();
+  console.warn("⚠️ VERIFIER_PRIVATE_KEY not set, using a throwaway signer key for this run");
+}
+const account = privateKeyToAccount(privateKey);
+
+const verifier = createVerifier({ account, chainId: CHAIN_ID, verifyingContract: REWARD_CONTRACT_ADDRESS });
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(httpError(400, "Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": ALLOWED_ORIGIN,
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+};
+
+const routes = {
+  "GET /health": async () => ({ ok: true, signer: account.address, domain: verifier.domain }),
+  "POST /session": async (req) => verifier.createSession(await readJson(req)),
+  "POST /verify": async (req) => verifier.verifyGame(await readJson(req)),
+  "GET /replay": async (req) => verifier.bestReplay(new URL(req.url, "http://localhost").searchParams.get("player")),
+};
+
+const server = createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return sendJson(res, 204);
+
+  const route = routes[`${req.method} ${new URL(req.url, "http://localhost").pathname}`];
+  if (!route) return sendJson(res, 404, { error: "Not found" });
+
+  try {
+    sendJson(res, 200, await route(req));
+  } catch (err) {
+    if (!err.status) console.error("❌ Verifier error:", err);
+    sendJson(res, err.status || 500, { error: err.status ? err.message : "Internal error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Score verifier listening on http://localhost:${PORT}`);
+  console.log(`✅ Signing vouchers as ${account.address} for chain ${CHAIN_ID}`);
+});
@@ -0,0 +1,144 @@
+import { randomBytes, randomInt } from "node:crypto";
+import { getAddress, isAddress } from "viem";
+import { applyClick, createGameEngine, MISS_ID, runToEnd, TOUCH_SLOP } from "../src/game/engine.js";
+import { MIN_CLICK_GAP_MS, parseReplay, serializeReplay } from "../src/game/replay.js";
+import { isDifficulty } from "../src/game/difficulty.js";
+import { isGameMode, isRewardEligibleMode, rulesForGame } from "../src/game/modes.js";
+import { dailyChallengeId, dailyRules, dailySeed } from "../src/game/daily.js";
+import { RULE_LIMITS } from "../src/game/rules.js";
+import { SCORE_VOUCHER_TYPES } from "../src/contracts/scoreVoucher.js";
+
+const SESSION_TTL_MS = 10 * 60 * 1000;
+const VOUCHER_TTL_SECONDS = 60 * 60;
+// Allowance for timer drift between the browser and this service
+const CLOCK_SLACK_MS = 2000;
+// Best verified replays kept in memory for ghost races; the least recently
+// improved are dropped first
+const MAX_BEST_REPLAYS = 1000;
+
+export const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Re-run the game click by click, refusing clicks no player could have made:
+// ones before the start or after the end, ones closer together than a hand
+// can click, and busts that didn't land on the object they claim to hit.
+const replayClicks = ({ seed, rules }, clicks) => {
+  const engine = createGameEngine({ seed, rules, clock: { now: () => 0 } });
+  const onTarget = (obj, { x, y }) =>
+    x >= obj.x - TOUCH_SLOP && x <= obj.x + rules.objectSize + TOUCH_SLOP && y >= obj.y - TOUCH_SLOP && y <= obj.y + rules.objectSize + TOUCH_SLOP;
+
+  clicks.forEach((click, i) => {
+    if (click.t < 0) throw httpError(400, "Replay contains clicks outside the game");
+    if (i > 0 && click.t - clicks[i - 1].t < MIN_CLICK_GAP_MS) throw httpError(400, "Replay contains clicks faster than a person can click");
+
+    engine.advanceTo(click.t);
+    const snapshot = engine.getSnapshot();
+    if (snapshot.over) throw httpError(400, "Replay contains clicks outside the game");
+    if (click.id !== MISS_ID) {
+      const target = snapshot.objects.find((obj) => obj.id === click.id);
+      if (!target || !onTarget(target, click)) throw httpError(400, "Replay contains a click off its target");
+    }
+    applyClick(engine, click);
+  });
+
+  runToEnd(engine, { clicks });
+  return engine.getSnapshot();
+};
+
+export const createVerifier = ({ account, chainId, verifyingContract, now = Date.now }) => {
+  const sessions = new Map();
+  const bestReplays = new Map();
+
+  const domain = { name: "EgoBust", version: "1", chainId, verifyingContract };
+
+  const pruneSessions = () => {
+    const t = now();
+    sessions.forEach((session, id) => {
+      if (t > session.expiresAt) sessions.delete(id);
+    });
+  };
+
+  // Issue a fresh seed for one game. A daily challenge game gets today's
+  // shared seed and fixed rules instead, whatever difficulty and mode say.
+  const createSession = ({ player, difficulty = "normal", mode = "timed", imageCount, daily = false }) => {
+    if (!isAddress(player ?? "")) throw httpError(400, "A valid player address is required");
+    if (!isDifficulty(difficulty)) throw httpError(400, `Unknown difficulty "${difficulty}"`);
+    if (!isGameMode(mode)) throw httpError(400, `Unknown game mode "${mode}"`);
+    if (!isRewardEligibleMode(mode)) throw httpError(400, `${mode} games can't be saved`);
+    if (imageCount !== undefined && !(Number.isInteger(imageCount) && imageCount > 0 && imageCount <= RULE_LIMITS.imageCount.max)) {
+      throw httpError(400, "imageCount must be a positive integer");
+    }
+    pruneSessions();
+
+    const session = {
+      id: `0x${randomBytes(32).toString("hex")}`,
+      player: getAddress(player),
+      seed: daily ? dailySeed(dailyChallengeId(new Date(now()))) : randomInt(0, 2 ** 32 - 1),
+      rules: daily ? dailyRules({ imageCount }) : rulesForGame({ difficulty, mode, imageCount }),
+      issuedAt: now(),
+      expiresAt: now() + SESSION_TTL_MS,
+    };
+    sessions.set(session.id, session);
+
+    return { sessionId: session.id, seed: session.seed, rules: session.rules, expiresAt: session.expiresAt };
+  };
+
+  // Re-simulate the finished game and sign a voucher for the score it really produced
+  const verifyGame = async ({ sessionId, player, replay }) => {
+    const session = sessions.get(sessionId);
+    if (!session) throw httpError(404, "Unknown or expired game session");
+    if (!isAddress(player ?? "") || getAddress(player) !== session.player) throw httpError(403, "Session belongs to another player");
+
+    let parsed;
+    try {
+      parsed = parseReplay(typeof replay === "string" ? replay : JSON.stringify(replay));
+    } catch (err) {
+      throw httpError(400, err.message);
+    }
+    if (parsed.seed !== session.seed) throw httpError(400, "Replay was not played with this session's seed");
+
+    const result = replayClicks(session, parsed.clicks);
+    if (now() - session.issuedAt < result.time - CLOCK_SLACK_MS) throw httpError(400, "Game finished faster than it can be played");
+
+    const voucher = {
+      player: session.player,
+      score: BigInt(result.score),
+      difficulty: session.rules.difficulty,
+      mode: session.rules.mode,
+      nonce: session.id,
+      deadline: BigInt(Math.floor(now() / 1000) + VOUCHER_TTL_SECONDS),
+    };
+    const signature = await account.signTypedData({
+      domain,
+      types: SCORE_VOUCHER_TYPES,
+      primaryType: "ScoreVoucher",
+      message: voucher,
+    });
+    // Sessions are single use once they've produced a voucher, so of two
+    // racing requests only the first gets one. A replay that failed
+    // verification can be sent again.
+    if (!sessions.delete(sessionId)) throw httpError(404, "Unknown or expired game session");
+
+    const best = bestReplays.get(session.player);
+    if (!best || result.score > best.score) {
+      bestReplays.delete(session.player);
+      bestReplays.set(session.player, { score: result.score, replay: serializeReplay({ ...parsed, rules: session.rules }, result.score) });
+      if (bestReplays.size > MAX_BEST_REPLAYS) bestReplays.delete(bestReplays.keys().next().value);
+    }
+
+    return {
+      voucher: { ...voucher, score: result.score, deadline: Number(voucher.deadline) },
+      signature,
+      signer: account.address,
+    };
+  };
+
+  // The player's best verified run, to race against as a ghost
+  const bestReplay = (player) => {
+    if (!isAddress(player ?? "")) throw httpError(400, "A valid player address is required");
+    const best = bestReplays.get(getAddress(player));
+    if (!best) throw httpError(404, "No verified replay for this player");
+    return { player: getAddress(player), ...best };
+  };
+
+  return { domain, createSession, verifyGame, bestReplay };
+};
@@ -13,38 +13,67 @@ import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { WagmiProvider } from "wagmi";
 import { Implementation, toMetaMaskSmartAccount } from "@metamask/delegation-toolkit";
 import { createBundlerClient } from "viem/account-abstraction";
-import { parseEther, encodeFunctionData } from "viem";
+import { formatEther, parseEther, encodeFunctionData } from "viem";
+import { useGameEngine } from "./game/useGameEngine.js";
+import { useReplayPlayer } from "./game/useReplayPlayer.js";
+import { useGameCanvas } from "./render/useGameCanvas.js";
+import { DEFAULT_SKIN, skinBackground } from "./skins/skinPacks.js";
+import { useSkinPack } from "./skins/useSkinPack.js";
+import { useGameAudio } from "./audio/useGameAudio.js";
+import { cellForKey, clickPointForCell, GRID_SIZE, isArrowKey, moveCell } from "./a11y/keyboardGrid.js";
+import { useGameAnnouncer } from "./a11y/useGameAnnouncer.js";
+import { useModalFocus } from "./a11y/useModalFocus.js";
+import { usePrefersReducedMotion } from "./a11y/usePrefersReducedMotion.js";
+import { loadAccessibilitySettings, saveAccessibilitySettings } from "./storage/accessibilitySettings.js";
+import { TOUCH_SLOP } from "./game/engine.js";
+import { parseReplay, serializeReplay } from "./game/replay.js";
+import { fetchBestReplay, isScoreVerifierEnabled, requestGameSession, requestScoreVoucher } from "./api/scoreVerifier.js";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, difficultyLabel, isDifficulty } from "./game/difficulty.js";
+import { DEFAULT_MODE, GAME_MODES, gameModeLabel, isGameMode, isRewardEligibleMode, rulesForGame } from "./game/modes.js";
+import { addSavedScore, loadSavedScores } from "./storage/savedScores.js";
+import { addPracticeScore, bestPracticeScore, loadPracticeScores, markPracticeScoreSubmitted } from "./storage/practiceScores.js";
+import { DAILY_CHALLENGE, dailyRules } from "./game/daily.js";
+import { useDailyChallenge } from "./game/useDailyChallenge.js";
+import { createGhost, GHOST_SOURCES } from "./game/ghost.js";
+import { loadPersonalBest, recordPersonalBest } from "./storage/personalBests.js";
+import { useAchievements } from "./achievements/useAchievements.js";
+import { useGameHistory } from "./history/useGameHistory.js";
+import { CUSTOM_LABEL, CUSTOM_LIMITS, challengeFromUrl, challengeUrl, customRules, decodeChallengeCode, DEFAULT_CUSTOM_SETTINGS, encodeChallengeCode, isCustomRules, normalizeCustomSettings } from "./game/customRules.js";
+import { addCustomScore, bestCustomScore, loadCustomScores } from "./storage/customScores.js";
+import { OBJECT_TYPES } from "./game/objectTypes.js";
+import { MAX_SPAWN_WEIGHT } from "./game/rules.js";
+import { randomSeed } from "./game/random.js";
+import { HEATMAP_COLUMNS, REACTION_BUCKET_MS, REACTION_BUCKETS, analyzeReplay, averageReaction, combineAnalytics, expiredShare, improvementTip } from "./game/analytics.js";
+import { CHART_HEIGHT, CHART_WIDTH, ROLLING_WINDOW, personalBest, rollingAverage, scoreChart } from "./history/scoreChart.js";
+import { addDailyResult, dailyRuns, dailyStreak, loadDailyResults } from "./storage/dailyChallenge.js";
+import { getLeaderboardContract } from "./contracts/leaderboardContract.js";
+import { useLeaderboardContract } from "./contracts/useLeaderboardContract.js";
+import { explorerTxUrl, NETWORKS } from "./networks/networks.js";
+import { useNetwork } from "./networks/useNetwork.js";
+import { createSponsorship } from "./paymaster/sponsorship.js";
+import { classifyUserOpError } from "./userOps/userOpService.js";
+import { useUserOps } from "./userOps/useUserOps.js";
+import { TRANSACTION_KINDS, TRANSACTION_STATUSES } from "./transactions/transactionHistory.js";
+import { useTransactionHistory } from "./transactions/useTransactionHistory.js";
 import "./App.css";
 
 // Configuration
-const monadTestnet = {
-  id: 10143,
-  name: "Monad Testnet",
-  nativeCurrency: { decimals: 18, name: "Monad", symbol: "MON" },
-  rpcUrls: { default: { http: ["https://monad-testnet.g.alchemy.com/v2/b5Q7A1uPLthyIDS1OsWo9"] } },
-  blockExplorers: { default: { name: "Monad Testnet Explorer", url: "https://testnet.monadexplorer.com" } },
-  testnet: true,
-};
-
+// Chains, RPCs, bundlers and addresses live in the network registry
 const config = createConfig({
-  chains: [monadTestnet],
+  chains: NETWORKS.map((network) => network.chain),
   connectors: [metaMask()],
-  transports: {
-    [monadTestnet.id]: http(),
-  },
+  transports: Object.fromEntries(NETWORKS.map((network) => [network.chain.id, http()])),
 });
 
 const queryClient = new QueryClient();
 
 // Pimlico Configuration
-const PIMLICO_BUNDLER_URL = import.meta.env.VITE_PIMLICO_BUNDLER_URL;
 const PIMLICO_API_KEY = import.meta.env.VITE_PIMLICO_API_KEY;
 
-console.log("✅ PIMLICO_BUNDLER_URL =", PIMLICO_BUNDLER_URL);
 console.log("✅ PIMLICO_API_KEY =", PIMLICO_API_KEY ? "***" + PIMLICO_API_KEY.slice(-4) : "undefined");
 
 // Create HTTP transport with proper headers and increased timeout for production
-const pimlicoTransport = http(PIMLICO_BUNDLER_URL, {
+const bundlerTransport = (url) => http(url, {
   timeout: 120000, // Increased timeout for production
   retryCount: 5,   // Increased retries for production
   fetchOptions: {
@@ -61,45 +90,6 @@ const WMON_ABI = [
   { name: "transfer", type: "function", stateMutability: "nonpayable", inputs: [{ name: "to", type: "address" }, { name: "amount", type: "uint256" }], outputs: [{ type: "bool" }] },
 ];
 
-const REWARD_ABI = [
-  { name: "addScore", type: "function", stateMutability: "nonpayable", inputs: [{ name: "_score", type: "uint256" }], outputs: [] },
-  { name: "claimRewards", type: "function", stateMutability: "nonpayable", inputs: [], outputs: [] },
-  {
-    name: "getPlayerStats",
-    type: "function",
-    stateMutability: "view",
-    inputs: [{ name: "player", type: "address" }],
-    outputs: [
-      { name: "totalScore", type: "uint256" },
-      { name: "totalGames", type: "uint256" },
-      { name: "pendingRewards", type: "uint256" },
-      { name: "totalClaimed", type: "uint256" },
-      { name: "lastClaimedScore", type: "uint256" },
-    ],
-  },
-  {
-    name: "getLeaderboard",
-    type: "function",
-    stateMutability: "view",
-    inputs: [],
-    outputs: [
-      {
-        type: "tuple[]",
-        components: [
-          { name: "wallet", type: "address" },
-          { name: "score", type: "uint256" },
-          { name: "gamesPlayed", type: "uint256" },
-          { name: "totalEarned", type: "uint256" },
-        ],
-      },
-    ],
-  },
-  { name: "getPendingRewards", type: "function", stateMutability: "view", inputs: [{ name: "player", type: "address" }], outputs: [{ type: "uint256" }] },
-];
-
-const WMON_ADDRESS = import.meta.env.VITE_WMON_ADDRESS || "0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701";
-const REWARD_CONTRACT_ADDRESS = import.meta.env.VITE_REWARD_CONTRACT_ADDRESS || "0xa2B98D710AB9c0BC5aA4d21552B343A297C83dFF";
-
 // Gas Configuration
 const GAS_SPEED_OPTIONS = {
   standard: { name: "🐢 Standard", gwei: 9, description: "Lowest cost, slower confirmation", estimatedTime: "30-60 sec" },
@@ -107,26 +97,31 @@ const GAS_SPEED_OPTIONS = {
   high: { name: "🚀 High", gwei: 100, description: "Faster confirmation", estimatedTime: "10-20 sec" },
 };
 
-const IMAGES = Array.from({ length: 221 }, (_, i) => `/images/${i}.png`);
-
-// Utility Functions
-const gweiToWeiBigInt = (gwei) => {
-  const n = Number(gwei);
-  if (Number.isNaN(n)) throw new Error("Invalid gwei value");
-  return BigInt(Math.round(n * 1e9));
-};
-
-const weiBigIntToGweiNumber = (weiBigInt) => Number(weiBigInt) / 1e9;
 
 function GameApp() {
   // Game State
-  const [objects, setObjects] = useState([]);
-  const [score, setScore] = useState(0);
-  const [time, setTime] = useState(30);
-  const [gameOver, setGameOver] = useState(false);
+  const [difficulty, setDifficulty] = useState(() => {
+    const stored = localStorage.getItem("egoBust.difficulty");
+    return isDifficulty(stored) ? stored : DEFAULT_DIFFICULTY;
+  });
+  const [gameMode, setGameMode] = useState(() => {
+    const stored = localStorage.getItem("egoBust.mode");
+    return isGameMode(stored) ? stored : DEFAULT_MODE;
+  });
+  const [skinId, setSkinId] = useState(() => localStorage.getItem("egoBust.skin") || DEFAULT_SKIN);
+  const game = useGameEngine(rulesForGame({ difficulty, mode: gameMode }));
+  const { score } = game.snapshot;
+  const gameOver = game.snapshot.over;
   const [gameStarted, setGameStarted] = useState(false);
   const [paused, setPaused] = useState(false);
-  const [clickedObjects, setClickedObjects] = useState(new Set());
+  const [practiceMode, setPracticeMode] = useState(false);
+  // Id of the daily challenge being played, or null for a regular game
+  const [dailyGame, setDailyGame] = useState(null);
+  // Custom ruleset being played (see game/customRules.js), or null
+  const [customGame, setCustomGame] = useState(null);
+  const replayPlayer = useReplayPlayer();
+  const watching = replayPlayer.replay !== null;
+  const view = replayPlayer.snapshot || game.snapshot;
 
   // UI State
   const [showMenu, setShowMenu] = useState(false);
@@ -136,6 +131,8 @@ function GameApp() {
   const [showGasOptions, setShowGasOptions] = useState(false);
   const [selectedGasSpeed, setSelectedGasSpeed] = useState("low");
   const [showTransferModal, setShowTransferModal] = useState(false);
+  const transferModalRef = useModalFocus(showTransferModal, () => setShowTransferModal(false));
+  const gasOptionsRef = useModalFocus(showGasOptions, () => setShowGasOptions(false));
   const [transferAmount, setTransferAmount] = useState("");
   const [transferTo, setTransferTo] = useState("");
   const [transferType, setTransferType] = useState("MON");
@@ -148,6 +145,7 @@ function GameApp() {
   const [smartAccount, setSmartAccount] = useState(null);
   const [smartAccountAddress, setSmartAccountAddress] = useState(null);
   const [bundlerClient, setBundlerClient] = useState(null);
+  const [sponsorship, setSponsorship] = useState(null);
   const [wmonBalance, setWmonBalance] = useState("0");
   const [monBalance, setMonBalance] = useState("0");
   const [mainAccountMonBalance, setMainAccountMonBalance] = useState("0");
@@ -158,30 +156,101 @@ function GameApp() {
   const [isSavingScore, setIsSavingScore] = useState(false);
   const [pendingTxHash, setPendingTxHash] = useState(null);
   const [lastUserOpHash, setLastUserOpHash] = useState(null);
+  // User operation saving the score of the game just played
+  const [saveOpHash, setSaveOpHash] = useState(null);
 
   // Auto-fill State
   const [autoFillEnabled, setAutoFillEnabled] = useState(true);
+  // Ask the network's paymaster to sponsor score saves and claims
+  const [sponsorGas, setSponsorGas] = useState(true);
   const [isAutoFilling, setIsAutoFilling] = useState(false);
 
   // Data State
   const [leaderboard, setLeaderboard] = useState([]);
+  const [savedScores, setSavedScores] = useState(loadSavedScores);
+  const [leaderboardDifficulty, setLeaderboardDifficulty] = useState("all");
+  const [leaderboardMode, setLeaderboardMode] = useState("all");
+  const [practiceScores, setPracticeScores] = useState(loadPracticeScores);
+  const [isSubmittingPractice, setIsSubmittingPractice] = useState(false);
+  const [dailyResults, setDailyResults] = useState(loadDailyResults);
+  // The countdown to the next challenge shows on the leaderboard tab and after a daily game
+  const daily = useDailyChallenge({ ticking: activeTab === "leaderboard" || (activeTab === "game" && gameOver && dailyGame !== null) });
+  const achievements = useAchievements(smartAccountAddress);
+  const gameHistory = useGameHistory(smartAccountAddress);
+  // Resolves to the history id of the game being played, once it's recorded
+  const historyIdRef = useRef(null);
+  const [historyMode, setHistoryMode] = useState("all");
+  // Which account the History tab shows: "all", "main" or "smart"
+  const [transactionWallet, setTransactionWallet] = useState("all");
+  // Analytics of the last finished game (see game/analytics.js)
+  const [lastAnalytics, setLastAnalytics] = useState(null);
+  // Custom rules editor, opened straight away for a shared ?challenge= link
+  const [customSettings, setCustomSettings] = useState(() => challengeFromUrl() ?? DEFAULT_CUSTOM_SETTINGS);
+  const [showCustomRules, setShowCustomRules] = useState(() => customSettings !== DEFAULT_CUSTOM_SETTINGS);
+  const [challengeCodeInput, setChallengeCodeInput] = useState("");
+  const [customScores, setCustomScores] = useState(loadCustomScores);
   const [playerStats, setPlayerStats] = useState({ totalScore: 0, totalGames: 0, pendingRewards: 0, totalClaimed: 0 });
 
   // Wagmi Hooks
-  const { address, isConnected } = useAccount();
+  const { address, isConnected, chainId } = useAccount();
   const { connect } = useConnect();
   const { disconnect } = useDisconnect();
-  const publicClient = usePublicClient();
-  const { data: walletClient } = useWalletClient();
-
-  // Refs & Constants
-  const spawnIntervalRef = useRef(null);
-  const cleanupIntervalRef = useRef(null);
+  const networks = useNetwork();
+  const { network } = networks;
+  const { wmonAddress, rewardContractAddress, leaderboardContractAddress } = network;
+  const publicClient = usePublicClient({ chainId: network.chain.id });
+  // Which leaderboard contract is deployed decides whether there are rewards
+  const rewardContract = useLeaderboardContract(publicClient, rewardContractAddress);
+  const rewardsEnabled = rewardContract.contract?.capabilities.rewards ?? true;
+  const { data: walletClient } = useWalletClient({ chainId: network.chain.id });
+  const transactions = useTransactionHistory({
+    publicClient,
+    chainId: network.chain.id,
+    main: address,
+    smart: smartAccountAddress,
+    contracts: [rewardContractAddress, leaderboardContractAddress],
+    rewardContract: rewardContractAddress,
+    wmonAddress,
+    active: activeTab === "history",
+  });
+
+  // Refs
   const gameAreaRef = useRef(null);
-  const BASE_GAME_WIDTH = 320;
-  const BASE_GAME_HEIGHT = 384;
-  const IMAGE_SIZE = 35;
-  const BORDER_WIDTH = 3;
+  const replayFileRef = useRef(null);
+  // Ghost race: another run raced alongside the live game
+  const [ghostSource, setGhostSource] = useState("off");
+  const [importedGhost, setImportedGhost] = useState(null);
+  const [ghost, setGhost] = useState(null);
+  const ghostFileRef = useRef(null);
+  const gameSessionRef = useRef(null);
+  const [fieldScale, setFieldScale] = useState(1);
+  // Accessibility
+  const [a11y, setA11y] = useState(loadAccessibilitySettings);
+  const systemReducedMotion = usePrefersReducedMotion();
+  const reducedMotion = a11y.reducedMotion ?? systemReducedMotion;
+  const [keyboardActive, setKeyboardActive] = useState(false);
+  const [gridCursor, setGridCursor] = useState(Math.floor((GRID_SIZE * GRID_SIZE) / 2));
+  const announcement = useGameAnnouncer(game.snapshot, gameStarted && !watching);
+
+  const skinPack = useSkinPack(skinId);
+  const audio = useGameAudio({ sounds: skinPack.skin?.sounds, snapshot: game.snapshot, inGame: gameStarted && !watching, paused });
+  const gameCanvasRef = useGameCanvas({
+    atlas: skinPack.atlas,
+    running: watching ? replayPlayer.playing : gameStarted && !gameOver && !paused,
+    getFrame: () => (watching ? replayPlayer.snapshot : game.frame()),
+    getView: (frame) => ({
+      scale: fieldScale,
+      objectSize: (watching ? replayPlayer.replay.rules : game.rules).objectSize,
+      paused: paused && !watching,
+      pops: skinPack.skin?.pops,
+      highContrast: a11y.highContrast,
+      reducedMotion,
+      grid: keyboardActive && gameStarted && !watching
+        ? { size: GRID_SIZE, cursor: gridCursor, width: game.rules.fieldWidth, height: game.rules.fieldHeight }
+        : null,
+      ghostBusts: ghost && gameStarted && !watching ? ghost.at(frame.time).busts : [],
+    }),
+  });
 
   const getCurrentGasOptions = () => {
     if (showCustomGas && customGasPrice) {
@@ -198,56 +267,57 @@ function GameApp() {
     return GAS_SPEED_OPTIONS[selectedGasSpeed] || GAS_SPEED_OPTIONS.low;
   };
 
-  const calculateRequiredGasMON = (gasOptions, estimatedGas = 200000) => {
-    const buffer = 1.2;
-    const gwei = Number(gasOptions.gwei);
-    const weiPerUnit = gwei * 1e9;
-    const totalWei = weiPerUnit * estimatedGas * buffer;
-    return totalWei / 1e18;
-  };
-
   // Bundler Client Initialization
   useEffect(() => {
     const createBundler = async () => {
+      setBundlerClient(null);
+      setSponsorship(network.paymasterUrl
+        ? createSponsorship({ transport: bundlerTransport(network.paymasterUrl), policyId: network.sponsorshipPolicyId })
+        : null);
+      if (!network.bundlerUrl) {
+        console.warn(`⚠️ No bundler configured for ${network.label}`);
+        return;
+      }
       try {
         const bundler = createBundlerClient({
-          transport: pimlicoTransport,
+          transport: bundlerTransport(network.bundlerUrl),
         });
         setBundlerClient(bundler);
-        console.log("✅ Bundler client initialized with Pimlico");
+        console.log(`✅ Bundler client initialized for ${network.label}:`, network.bundlerUrl);
       } catch (err) {
         console.error("Failed to create bundler client:", err);
       }
     };
 
     createBundler();
-  }, []);
-
-  // Gas Price Fetching
-  const fetchPimlicoGasPrice = async () => {
-    if (!bundlerClient) throw new Error("Bundler client not initialized");
-    
-    try {
-      const res = await bundlerClient.request({ method: "pimlico_getUserOperationGasPrice", params: [] });
-      const uop = res?.userOperationGasPrice || res;
-      const best = uop?.fast || uop?.standard || uop;
-      
-      const maxFeePerGasWei = typeof best?.maxFeePerGas === "string" ? BigInt(best.maxFeePerGas) : best?.maxFeePerGas ? BigInt(best.maxFeePerGas) : null;
-      const maxPriorityFeePerGasWei = typeof best?.maxPriorityFeePerGas === "string" ? BigInt(best.maxPriorityFeePerGas) : best?.maxPriorityFeePerGas ? BigInt(best.maxPriorityFeePerGas) : null;
-
-      if (maxFeePerGasWei && maxPriorityFeePerGasWei) {
-        return {
-          maxFeePerGasWei,
-          maxPriorityFeePerGasWei,
-          asGwei: { maxFeePerGasGwei: Number(maxFeePerGasWei) / 1e9, maxPriorityFeePerGasGwei: Number(maxPriorityFeePerGasWei) / 1e9 },
-        };
-      }
-      return null;
-    } catch (err) {
-      console.warn("Failed to fetch pimlico gas price:", err);
-      return null;
-    }
-  };
+  }, [network]);
+
+  // User Operations
+  // Score saves, claims, transfers and practice submissions all go through the
+  // user-operation service; `onUserOpSettled` applies their outcome
+  const userOps = useUserOps({
+    bundlerClient,
+    sponsorship: sponsorGas ? sponsorship : null,
+    chainId: network.chain.id,
+    getGasPreset: () => getCurrentGasOptions(),
+    ensureGas: async (requiredGasMON, label) => Number(monBalance) >= requiredGasMON || autoFillGasIfNeeded(requiredGasMON, label),
+    onSubmitted: (entry) => {
+      setLastUserOpHash(entry.hash);
+      transactions.record({
+        id: entry.hash,
+        kind: entry.kind,
+        account: entry.account,
+        wallet: "smart",
+        userOpHash: entry.hash,
+        sponsored: entry.sponsored,
+        details: entry.kind === "scoreSave" ? { score: entry.meta.score.score } : entry.meta,
+        timestamp: entry.submittedAt,
+      });
+      if (entry.kind === "scoreSave") setSaveOpHash(entry.hash);
+    },
+    onSettled: (entry, receipt) => onUserOpSettled(entry, receipt),
+  });
+  const savePending = saveOpHash !== null && userOps.pending.some((entry) => entry.hash === saveOpHash);
 
   // Smart Account Initialization
   useEffect(() => {
@@ -326,14 +396,6 @@ function GameApp() {
     }
   }, [isConnected, address, publicClient]);
 
-  // Image Preloading
-  useEffect(() => {
-    IMAGES.forEach((src) => {
-      const img = new Image();
-      img.src = src;
-    });
-  }, []);
-
   // UI Helpers
   const copyAddress = async () => {
     const addressToCopy = smartAccountAddress || address;
@@ -376,11 +438,11 @@ function GameApp() {
         }
         
         // Load main WMON balance
-        if (WMON_ADDRESS) {
+        if (wmonAddress) {
           try {
             console.log("📥 Loading main WMON balance...");
             const mainWmonBalanceWei = await publicClient.readContract({
-              address: WMON_ADDRESS,
+              address: wmonAddress,
               abi: WMON_ABI,
               functionName: "balanceOf",
               args: [mainAddress],
@@ -411,11 +473,11 @@ function GameApp() {
         }
 
         // Load smart WMON balance
-        if (WMON_ADDRESS) {
+        if (wmonAddress) {
           try {
             console.log("📥 Loading smart account WMON balance...");
             const smartWmonBalanceWei = await publicClient.readContract({
-              address: WMON_ADDRESS,
+              address: wmonAddress,
               abi: WMON_ABI,
               functionName: "balanceOf",
               args: [smartAddress],
@@ -437,47 +499,25 @@ function GameApp() {
   };
 
   const loadPlayerStats = async (userAddress) => {
-    if (!publicClient || !REWARD_CONTRACT_ADDRESS) return;
+    if (!publicClient || !rewardContractAddress) return;
     
     try {
-      const stats = await publicClient.readContract({
-        address: REWARD_CONTRACT_ADDRESS,
-        abi: REWARD_ABI,
-        functionName: "getPlayerStats",
-        args: [userAddress],
-      });
-      
-      setPlayerStats({
-        totalScore: Number(stats[0]),
-        totalGames: Number(stats[1]),
-        pendingRewards: Number(stats[2]) / 1e18,
-        totalClaimed: Number(stats[3]) / 1e18,
-      });
-      setPendingRewards(Number(stats[2]) / 1e18);
+      const contract = await getLeaderboardContract(publicClient, rewardContractAddress);
+      const nextStats = await contract.readStats(userAddress);
+      setPlayerStats(nextStats);
+      setPendingRewards(nextStats.pendingRewards);
+      achievements.track({ account: userAddress, metrics: nextStats });
     } catch (err) {
       console.error("Error loading player stats:", err);
     }
   };
 
   const loadLeaderboardData = async () => {
-    if (!publicClient || !REWARD_CONTRACT_ADDRESS) return;
+    if (!publicClient || !rewardContractAddress) return;
     
     try {
-      const data = await publicClient.readContract({
-        address: REWARD_CONTRACT_ADDRESS,
-        abi: REWARD_ABI,
-        functionName: "getLeaderboard",
-      });
-      
-      const formatted = data.map((entry) => ({
-        wallet: entry.wallet,
-        score: Number(entry.score),
-        gamesPlayed: Number(entry.gamesPlayed),
-        totalEarned: Number(entry.totalEarned) / 1e18,
-      }));
-      
-      formatted.sort((a, b) => b.score - a.score);
-      setLeaderboard(formatted);
+      const contract = await getLeaderboardContract(publicClient, rewardContractAddress);
+      setLeaderboard(await contract.readLeaderboard());
     } catch (err) {
       console.error("Error loading leaderboard:", err);
     }
@@ -507,6 +547,14 @@ function GameApp() {
 
       console.log("Auto fill tx submitted:", txHash);
       setPendingTxHash(txHash);
+      transactions.record({
+        id: txHash,
+        kind: "autoFill",
+        account: address,
+        wallet: "main",
+        hash: txHash,
+        details: { token: "MON", amount: transferAmountMON, from: address, to: smartAccountAddress },
+      });
 
       await new Promise((r) => setTimeout(r, 4000));
       await loadAllBalances(address, smartAccountAddress);
@@ -534,7 +582,7 @@ function GameApp() {
       }
       
       // Connect with any available wallet
-      await connect({ connector: metaMask() });
+      await connect({ connector: metaMask(), chainId: network.chain.id });
     } catch (err) {
       console.error("Connection error:", err);
       alert("Failed to connect wallet. Please make sure your wallet is unlocked and try again.");
@@ -561,33 +609,109 @@ function GameApp() {
     setIsAutoFilling(false);
   };
 
-  // Enhanced User Operation waiting with better error handling
-  const waitForUserOperationReceiptWithRetry = async (hash, maxRetries = 3) => {
-    if (!bundlerClient) throw new Error("Bundler client not available");
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`🔄 Waiting for User Operation receipt (attempt ${attempt}/${maxRetries})...`);
-        const result = await bundlerClient.waitForUserOperationReceipt({ 
-          hash, 
-          timeout: 180000 // Increased timeout to 3 minutes for production
-        });
-        console.log("✅ User Operation receipt received:", result);
-        return result;
-      } catch (error) {
-        console.warn(`Attempt ${attempt} failed:`, error.message);
-        
-        if (attempt === maxRetries) {
-          throw error;
-        }
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, 5000));
+  // The smart account, balances and contract data all belong to one chain, so
+  // they're dropped here and re-initialized once the wallet is on the new one
+  const changeNetwork = async (id) => {
+    if (id === network.id) return;
+    setShowMenu(false);
+    setSmartAccount(null);
+    setSmartAccountAddress(null);
+    setWmonBalance("0");
+    setMonBalance("0");
+    setMainAccountMonBalance("0");
+    setMainAccountWmonBalance("0");
+    setPendingRewards(0);
+    setPlayerStats({ totalScore: 0, totalGames: 0, pendingRewards: 0, totalClaimed: 0 });
+    setLeaderboard([]);
+    setPendingTxHash(null);
+    setLastUserOpHash(null);
+    await networks.selectNetwork(id);
+  };
+
+  // What a settled user operation changes. Runs once per operation, whether
+  // it was just sent or resumed from the pending queue after a reload.
+  const onUserOpSettled = async (entry, receipt) => {
+    transactions.update(entry.hash, receipt
+      ? {
+        hash: receipt.receipt.transactionHash,
+        status: receipt.success ? "confirmed" : "failed",
+        gasPaid: String(receipt.actualGasCost),
+        blockNumber: Number(receipt.receipt.blockNumber),
+      }
+      : { status: "dropped" });
+    if (!receipt?.success) {
+      console.warn(`⚠️ User operation ${entry.hash} ${receipt ? "reverted" : "never settled and was dropped"}`);
+      // Save is enabled again once the pending save is dropped
+      if (!receipt && entry.hash === saveOpHash) {
+        setSaveOpHash(null);
+        alert("⚠️ Your score save never made it on-chain and was dropped. You can save the score again.");
       }
+      return;
+    }
+
+    const txHash = receipt.receipt.transactionHash;
+    console.log("🎉 Transaction confirmed:", txHash);
+    setPendingTxHash(txHash);
+    if (entry.kind === "scoreSave") {
+      setSavedScores(addSavedScore({ ...entry.meta.score, txHash }));
+      achievements.track({ counters: ["scoresSaved"] });
+      gameHistory.markSaved(entry.meta.historyId, txHash);
+      if (entry.hash === saveOpHash) {
+        setScoreSaved(true);
+        audio.play("scoreSaved");
+      }
+    } else if (entry.kind === "claim") {
+      achievements.track({ counters: ["claims"] });
+    } else if (entry.kind === "practiceSubmit") {
+      setPracticeScores(markPracticeScoreSubmitted(entry.meta.practiceId, entry.account));
+    }
+
+    if (smartAccountAddress) {
+      await loadAllBalances(address, smartAccountAddress);
+      await loadPlayerStats(smartAccountAddress);
+      await loadLeaderboardData();
+    }
+  };
+
+  // Tells the player how a sent user operation ended; `what` names it
+  const reportUserOpResult = (result, successMessage, what) => {
+    if (result.status === "confirmed") {
+      alert(successMessage);
+    } else if (result.status === "failed") {
+      alert(`❌ ${what} was included on-chain but reverted. UserOp Hash: ${result.hash.slice(0, 10)}...`);
+    } else {
+      alert(`⏳ ${what} submitted but taking longer than expected. UserOp Hash: ${result.hash.slice(0, 10)}...\n\nIt keeps being tracked, even if you reload the page, and is dropped if it doesn't land within an hour.`);
+    }
+  };
+
+  const alertUserOpError = (error, failureMessage) => {
+    switch (classifyUserOpError(error)) {
+      case "insufficientFunds":
+        alert(error.requiredGasMON
+          ? `Your Smart Account needs MON for gas!\nCurrent: ${monBalance} MON\nRequired: ~${error.requiredGasMON.toFixed(6)} MON\nPlease send MON to: ${smartAccountAddress}`
+          : "Your Smart Account needs MON for gas. Please fund it first.");
+        break;
+      case "paymaster":
+        alert("The paymaster could not sponsor this transaction. Please try again later.");
+        break;
+      case "rejected":
+        alert("The transaction was rejected in the wallet.");
+        break;
+      case "timeout":
+        alert("Transaction is taking longer than expected. It may still be processing.");
+        break;
+      case "verification":
+        alert(`Score could not be verified: ${error.message}`);
+        break;
+      default:
+        alert(`${failureMessage}: ${error?.shortMessage || error?.message || "unknown error"}`);
     }
   };
 
   // Transfer Functions
+  const recordWalletTransfer = (txHash, details) =>
+    transactions.record({ id: txHash, kind: "transfer", account: address, wallet: "main", hash: txHash, details: { ...details, from: address } });
+
   const transferFunds = async () => {
     if (!transferAmount || !transferTo || !transferType || !transferDirection) {
       alert("Invalid transfer details");
@@ -608,8 +732,6 @@ function GameApp() {
         return;
       }
 
-      const gasPreset = getCurrentGasOptions();
-
       if (transferDirection === "toSmart") {
         if (!walletClient) throw new Error("Wallet client not available");
 
@@ -623,6 +745,7 @@ function GameApp() {
             value: parseEther(String(amount)),
           });
           setPendingTxHash(txHash);
+          recordWalletTransfer(txHash, { token: "MON", amount, to: transferTo });
           alert(`✅ Sent ${amount} MON`);
         } else {
           if (amount > Number(mainAccountWmonBalance)) {
@@ -635,112 +758,39 @@ function GameApp() {
             args: [transferTo, parseEther(String(amount))],
           });
           const txHash = await walletClient.sendTransaction({
-            to: WMON_ADDRESS,
+            to: wmonAddress,
             data,
           });
           setPendingTxHash(txHash);
+          recordWalletTransfer(txHash, { token: "WMON", amount, to: transferTo });
           alert(`✅ Sent ${amount} WMON`);
         }
       } else {
-        if (!bundlerClient || !smartAccount) {
+        if (!smartAccount) {
           alert("Smart Account service not available. Please try again.");
           return;
         }
 
-        const pimlicoGas = await fetchPimlicoGasPrice();
-        let maxFeePerGasWei = pimlicoGas?.maxFeePerGasWei ?? gweiToWeiBigInt(gasPreset.gwei);
-        let maxPriorityFeePerGasWei = pimlicoGas?.maxPriorityFeePerGasWei ?? gweiToWeiBigInt(Math.max(1, Math.floor(gasPreset.gwei * 0.1)));
-
-        const estimatedGas = 200000;
-        const requiredGasMON = calculateRequiredGasMON({ gwei: Number(weiBigIntToGweiNumber(maxFeePerGasWei)) }, estimatedGas);
-        
-        if (Number(monBalance) < requiredGasMON) {
-          if (autoFillEnabled) {
-            const ok = await autoFillGasIfNeeded(requiredGasMON, "fund transfer");
-            if (!ok) {
-              alert(`Smart Account needs MON for gas. Current: ${monBalance} MON, Required: ~${requiredGasMON.toFixed(6)} MON`);
-              return;
-            }
-          } else {
-            alert(`Smart Account needs MON for gas. Current: ${monBalance} MON, Required: ~${requiredGasMON.toFixed(6)} MON`);
-            return;
-          }
+        const available = transferType === "MON" ? monBalance : wmonBalance;
+        if (amount > Number(available)) {
+          alert(`Insufficient ${transferType} balance. Available: ${available}`);
+          return;
         }
 
-        if (transferType === "MON") {
-          if (amount > Number(monBalance)) {
-            alert(`Insufficient MON balance. Available: ${monBalance}`);
-            return;
-          }
-
-          console.log(`🔄 Sending MON via Smart Account with Pimlico`);
-
-          const userOpHash = await bundlerClient.sendUserOperation({
-            account: smartAccount,
-            calls: [
-              {
-                to: transferTo,
-                value: parseEther(String(amount)),
-                data: "0x",
-              },
-            ],
-            maxFeePerGas: maxFeePerGasWei,
-            maxPriorityFeePerGas: maxPriorityFeePerGasWei,
-          });
-
-          setLastUserOpHash(userOpHash);
-          console.log("User Operation submitted:", userOpHash);
-
-          try {
-            const { receipt } = await waitForUserOperationReceiptWithRetry(userOpHash);
-            console.log("Transaction confirmed:", receipt.transactionHash);
-            setPendingTxHash(receipt.transactionHash);
-            alert(`✅ Successfully transferred ${amount} MON`);
-          } catch (error) {
-            console.warn("User Operation waiting timed out, but it might still succeed");
-            setLastUserOpHash(userOpHash);
-            alert(`⏳ Transaction submitted but taking longer than expected. UserOp Hash: ${userOpHash.slice(0, 10)}...\n\nCheck explorer later for confirmation.`);
-          }
-        } else {
-          if (amount > Number(wmonBalance)) {
-            alert(`Insufficient WMON balance. Available: ${wmonBalance}`);
-            return;
-          }
-
-          console.log(`🔄 Sending WMON via Smart Account with Pimlico`);
-
-          const txData = encodeFunctionData({
-            abi: WMON_ABI,
-            functionName: "transfer",
-            args: [transferTo, parseEther(String(amount))],
-          });
-
-          const userOpHash = await bundlerClient.sendUserOperation({
-            account: smartAccount,
-            calls: [
-              {
-                to: WMON_ADDRESS,
-                data: txData,
-              },
-            ],
-            maxFeePerGas: maxFeePerGasWei,
-            maxPriorityFeePerGas: maxPriorityFeePerGasWei,
-          });
-
-          setLastUserOpHash(userOpHash);
-          console.log("User Operation submitted:", userOpHash);
-
-          try {
-            const { receipt } = await waitForUserOperationReceiptWithRetry(userOpHash);
-            console.log("Transaction confirmed:", receipt.transactionHash);
-            setPendingTxHash(receipt.transactionHash);
-            alert(`✅ Successfully transferred ${amount} WMON`);
-          } catch (error) {
-            console.warn("User Operation waiting timed out, but it might still succeed");
-            setLastUserOpHash(userOpHash);
-            alert(`⏳ Transaction submitted but taking longer than expected. UserOp Hash: ${userOpHash.slice(0, 10)}...\n\nCheck explorer later for confirmation.`);
-          }
-        }
+        const call = transferType === "MON"
+          ? { to: transferTo, value: parseEther(String(amount)), data: "0x" }
+          : {
+              to: wmonAddress,
+              data: encodeFunctionData({ abi: WMON_ABI, functionName: "transfer", args: [transferTo, parseEther(String(amount))] }),
+            };
+        const result = await userOps.send({
+          kind: "transfer",
+          account: smartAccount,
+          calls: [call],
+          label: "fund transfer",
+          meta: { token: transferType, amount, to: transferTo },
+        });
+        reportUserOpResult(result, `✅ Successfully transferred ${amount} ${transferType}`, "Transfer");
       }
 
       setTransferAmount("");
@@ -749,23 +799,7 @@ function GameApp() {
       setTimeout(() => loadAllBalances(address, smartAccountAddress), 3000);
     } catch (err) {
       console.error("Transfer error:", err);
-      const msg = (err?.message || "").toLowerCase();
-      if (msg.includes("timeout")) {
-        alert("Transaction is taking longer than expected; check explorer later.");
-      } else if (msg.includes("insufficient funds")) {
-        if (autoFillEnabled && !isAutoFilling) {
-          const gasPreset = getCurrentGasOptions();
-          const requiredGasMON = calculateRequiredGasMON(gasPreset, 200000);
-          const ok = await autoFillGasIfNeeded(requiredGasMON, "retry transfer");
-          if (ok) {
-            setTimeout(transferFunds, 2000);
-            return;
-          }
-        }
-        alert("Smart Account doesn't have enough MON for gas. Please fund it first.");
-      } else {
-        alert(`Transfer failed: ${err?.message ?? JSON.stringify(err)}`);
-      }
+      alertUserOpError(err, "Transfer failed");
     } finally {
       setIsTransferring(false);
     }
@@ -807,104 +841,72 @@ function GameApp() {
   };
 
   // Game Actions
-  const saveScoreAndAccumulate = async () => {
-    if (!smartAccount || scoreSaved) return;
-    
-    try {
-      setIsSavingScore(true);
-      console.log("🔄 Saving score via Smart Account with Pimlico...");
+  // With the score verifier enabled the score is only submitted with a signed
+  // voucher for the re-simulated result; the voucher is kept so retries reuse it.
+  const buildScoreCall = async () => {
+    const contract = await getLeaderboardContract(publicClient, rewardContractAddress);
+    if (!isScoreVerifierEnabled()) return contract.submitScoreCall({ score });
+
+    // addScore takes any score, so a contract that can't check vouchers
+    // would make verifying pointless
+    if (!contract.capabilities.vouchers) {
+      alert("The reward contract doesn't accept score vouchers, so verified scores can't be saved to it.");
+      return null;
+    }
 
-      if (!bundlerClient) {
-        alert("Smart Account service not available. Please try again.");
-        return;
+    const session = gameSessionRef.current;
+    if (!session || !game.replay.current) {
+      alert("This game was not started with the score verifier, so its score can't be saved.");
+      return null;
+    }
+
+    if (!session.voucher) {
+      console.log("🔄 Requesting score voucher...");
+      session.voucher = await requestScoreVoucher({
+        sessionId: session.sessionId,
+        player: smartAccountAddress,
+        replay: serializeReplay(game.replay.current, score),
+      });
+      if (session.voucher.voucher.score !== score) {
+        console.warn(`Verified score ${session.voucher.voucher.score} differs from local score ${score}`);
       }
+    }
 
-      const gasPreset = getCurrentGasOptions();
-      const pimlicoGas = await fetchPimlicoGasPrice();
-      const maxFeePerGasWei = pimlicoGas?.maxFeePerGasWei ?? gweiToWeiBigInt(gasPreset.gwei);
-      const maxPriorityFeePerGasWei = pimlicoGas?.maxPriorityFeePerGasWei ?? gweiToWeiBigInt(Math.max(1, Math.floor(gasPreset.gwei * 0.1)));
+    const { voucher, signature } = session.voucher;
+    return contract.submitScoreCall({ score, voucher, signature });
+  };
 
-      const requiredGasMON = calculateRequiredGasMON({ gwei: Number(weiBigIntToGweiNumber(maxFeePerGasWei)) }, 250000);
-      
-      if (Number(monBalance) < requiredGasMON) {
-        if (autoFillEnabled) {
-          const autoFillSuccess = await autoFillGasIfNeeded(requiredGasMON, "score saving");
-          if (!autoFillSuccess) {
-            alert(`Your Smart Account needs MON for gas!
-Current: ${monBalance} MON
-Required: ~${requiredGasMON.toFixed(6)} MON
-Please send MON to: ${smartAccountAddress}`);
-            return;
-          }
-        } else {
-          alert(`Your Smart Account needs MON for gas!
-Current: ${monBalance} MON
-Required: ~${requiredGasMON.toFixed(6)} MON
-Please send MON to: ${smartAccountAddress}`);
-          return;
-        }
-      }
+  const saveScoreAndAccumulate = async () => {
+    // Custom rules are never submitted, so they can't be used to farm rewards
+    if (!smartAccount || scoreSaved || savePending || !isRewardEligibleMode(game.rules.mode) || isCustomRules(game.rules)) return;
 
-      console.log(`💾 Saving score with Pimlico`);
+    try {
+      setIsSavingScore(true);
+      const scoreCall = await buildScoreCall();
+      if (!scoreCall) return;
 
-      const userOpHash = await bundlerClient.sendUserOperation({
+      const result = await userOps.send({
+        kind: "scoreSave",
         account: smartAccount,
-        calls: [
-          {
-            to: REWARD_CONTRACT_ADDRESS,
-            data: encodeFunctionData({
-              abi: REWARD_ABI,
-              functionName: "addScore",
-              args: [score],
-            }),
+        calls: [scoreCall],
+        estimatedGas: 250000,
+        sponsor: true,
+        label: "score saving",
+        meta: {
+          score: {
+            player: smartAccountAddress,
+            score: gameSessionRef.current?.voucher?.voucher.score ?? score,
+            difficulty: game.rules.difficulty,
+            mode: game.rules.mode,
+            daily: dailyGame,
           },
-        ],
-        maxFeePerGas: maxFeePerGasWei,
-        maxPriorityFeePerGas: maxPriorityFeePerGasWei,
+          historyId: (await historyIdRef.current) ?? null,
+        },
       });
-
-      console.log("Score save user operation hash:", userOpHash);
-      setLastUserOpHash(userOpHash);
-
-      try {
-        const { receipt } = await waitForUserOperationReceiptWithRetry(userOpHash);
-        console.log("🎉 Transaction confirmed:", receipt.transactionHash);
-        setPendingTxHash(receipt.transactionHash);
-        setScoreSaved(true);
-        setPendingTxHash(null);
-
-        await loadAllBalances(address, smartAccountAddress);
-        await loadPlayerStats(smartAccountAddress);
-        await loadLeaderboardData();
-
-        alert("🎉 Score saved successfully with Pimlico!");
-      } catch (error) {
-        console.warn("User Operation waiting timed out, but it might still succeed");
-        setLastUserOpHash(userOpHash);
-        alert(`⏳ Score save submitted but taking longer than expected. UserOp Hash: ${userOpHash.slice(0, 10)}...\n\nYour score might be saved. Check your stats later.`);
-        setScoreSaved(true); // Assume it will succeed
-      }
+      reportUserOpResult(result, `🎉 Score saved successfully with Pimlico${result.sponsored ? ", gas sponsored" : ""}!`, "Score save");
     } catch (error) {
       console.error("Save score error:", error);
-      const msg = (error?.message || "").toLowerCase();
-      if (msg.includes("insufficient funds")) {
-        if (autoFillEnabled && !isAutoFilling) {
-          const gasPreset = getCurrentGasOptions();
-          const requiredGasMON = calculateRequiredGasMON(gasPreset, 250000);
-          const ok = await autoFillGasIfNeeded(requiredGasMON, "retry score saving");
-          if (ok) {
-            setTimeout(saveScoreAndAccumulate, 2000);
-            return;
-          }
-        }
-        alert("Your Smart Account needs MON for gas. Please fund it first.");
-      } else if (msg.includes("paymaster")) {
-        alert("Pimlico paymaster service temporarily unavailable. Please try again later.");
-      } else if (msg.includes("timeout")) {
-        alert("Transaction is taking longer than expected. It may still be processing.");
-      } else {
-        alert("Failed to save score. Please try again.");
-      }
+      alertUserOpError(error, "Failed to save score");
     } finally {
       setIsSavingScore(false);
     }
@@ -919,215 +921,394 @@ Please send MON to: ${smartAccountAddress}`);
 
     try {
       setIsClaiming(true);
-      if (!bundlerClient) {
-        alert("Smart Account service not available. Cannot claim rewards.");
-        return;
-      }
-
-      const pimlicoGas = await fetchPimlicoGasPrice();
-      const gasPreset = getCurrentGasOptions();
-      const maxFeePerGasWei = pimlicoGas?.maxFeePerGasWei ?? gweiToWeiBigInt(gasPreset.gwei);
-      const maxPriorityFeePerGasWei = pimlicoGas?.maxPriorityFeePerGasWei ?? gweiToWeiBigInt(Math.max(1, Math.floor(gasPreset.gwei * 0.1)));
-
-      const requiredGasMON = calculateRequiredGasMON({ gwei: Number(weiBigIntToGweiNumber(maxFeePerGasWei)) }, 250000);
-      
-      if (Number(monBalance) < requiredGasMON) {
-        if (autoFillEnabled) {
-          const autoFillSuccess = await autoFillGasIfNeeded(requiredGasMON, "reward claiming");
-          if (!autoFillSuccess) {
-            alert(`Your Smart Account needs MON for gas! Current: ${monBalance} MON, Required: ~${requiredGasMON.toFixed(6)} MON`);
-            return;
-          }
-        } else {
-          alert(`Your Smart Account needs MON for gas! Current: ${monBalance} MON, Required: ~${requiredGasMON.toFixed(6)} MON`);
-          return;
-        }
-      }
-
-      console.log("🎁 Claiming rewards with Pimlico");
-
-      const userOpHash = await bundlerClient.sendUserOperation({
+      const result = await userOps.send({
+        kind: "claim",
         account: smartAccount,
-        calls: [
-          {
-            to: REWARD_CONTRACT_ADDRESS,
-            data: encodeFunctionData({ abi: REWARD_ABI, functionName: "claimRewards", args: [] }),
-          },
-        ],
-        maxFeePerGas: maxFeePerGasWei,
-        maxPriorityFeePerGas: maxPriorityFeePerGasWei,
+        calls: [(await getLeaderboardContract(publicClient, rewardContractAddress)).claimCall()],
+        estimatedGas: 250000,
+        sponsor: true,
+        label: "reward claiming",
+        meta: { token: "WMON", amount: pendingRewards },
       });
-
-      setLastUserOpHash(userOpHash);
-
-      try {
-        const { receipt } = await waitForUserOperationReceiptWithRetry(userOpHash);
-        setPendingTxHash(receipt.transactionHash);
-        alert(`🎉 Successfully claimed ${pendingRewards.toFixed(2)} WMON using Pimlico!`);
-
-        await loadAllBalances(address, smartAccountAddress);
-        await loadPlayerStats(smartAccountAddress);
-        await loadLeaderboardData();
-      } catch (error) {
-        console.warn("User Operation waiting timed out, but it might still succeed");
-        setLastUserOpHash(userOpHash);
-        alert(`⏳ Reward claim submitted but taking longer than expected. UserOp Hash: ${userOpHash.slice(0, 10)}...\n\nCheck your balance later.`);
-      }
+      reportUserOpResult(result, `🎉 Successfully claimed ${pendingRewards.toFixed(2)} WMON using Pimlico${result.sponsored ? ", gas sponsored" : ""}!`, "Reward claim");
     } catch (error) {
       console.error("Error claiming rewards:", error);
-      const msg = (error?.message || "").toLowerCase();
-      if (msg.includes("insufficient funds")) {
-        if (autoFillEnabled && !isAutoFilling) {
-          const gasPreset = getCurrentGasOptions();
-          const requiredGasMON = calculateRequiredGasMON(gasPreset, 250000);
-          const ok = await autoFillGasIfNeeded(requiredGasMON, "retry reward claiming");
-          if (ok) {
-            setTimeout(claimRewards, 2000);
-            return;
-          }
-        }
-        alert("Your Smart Account needs MON for gas. Please fund it first.");
-      } else if (msg.includes("paymaster")) {
-        alert("Pimlico paymaster service temporarily unavailable. Please try again later.");
-      } else {
-        alert("Failed to claim rewards. Please try again.");
-      }
+      alertUserOpError(error, "Failed to claim rewards");
     } finally {
       setIsClaiming(false);
     }
   };
 
-  // Game Logic
+  // Game Area Scaling
+  // The engine works in field units; only the scale to screen pixels changes
+  // when the area is resized, so objects stay put mid-game.
   useEffect(() => {
-    if (!gameStarted || gameOver || paused) {
-      if (spawnIntervalRef.current) {
-        clearInterval(spawnIntervalRef.current);
-        spawnIntervalRef.current = null;
-      }
-      return;
-    }
+    const gameArea = gameAreaRef.current;
+    if (!gameArea) return;
 
-    const spawnObject = () => {
-      const gameArea = gameAreaRef.current;
-      const width = gameArea ? gameArea.offsetWidth : BASE_GAME_WIDTH;
-      const height = gameArea ? gameArea.offsetHeight : BASE_GAME_HEIGHT;
-      
-      if (width > 0 && height > 0) {
-        const newObj = {
-          id: Date.now() + Math.random(),
-          x: Math.floor(Math.random() * Math.max(1, width - IMAGE_SIZE - 2 * BORDER_WIDTH)),
-          y: Math.floor(Math.random() * Math.max(1, height - IMAGE_SIZE - 2 * BORDER_WIDTH)),
-          image: IMAGES[Math.floor(Math.random() * IMAGES.length)],
-          spawnTime: Date.now(),
-        };
-        setObjects((prev) => (prev.length >= 30 ? [...prev.slice(1), newObj] : [...prev, newObj]));
-      }
+    const updateScale = () => {
+      if (gameArea.clientWidth > 0) setFieldScale(gameArea.clientWidth / game.rules.fieldWidth);
     };
 
-    spawnObject();
-    spawnIntervalRef.current = setInterval(spawnObject, 200);
-
-    return () => {
-      if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
-    };
-  }, [gameStarted, gameOver, paused]);
+    updateScale();
+    const observer = new ResizeObserver(updateScale);
+    observer.observe(gameArea);
+    return () => observer.disconnect();
+  }, [activeTab, game.rules]);
 
+  // Turning the phone mid-game reflows the whole page, so give the player a
+  // paused moment to find the field again
   useEffect(() => {
-    if (!gameStarted || gameOver || paused) {
-      if (cleanupIntervalRef.current) {
-        clearInterval(cleanupIntervalRef.current);
-        cleanupIntervalRef.current = null;
-      }
-      return;
-    }
-
-    cleanupIntervalRef.current = setInterval(() => {
-      const currentTime = Date.now();
-      setObjects((prev) => prev.filter((obj) => currentTime - obj.spawnTime < 1000));
-    }, 100);
+    if (!gameStarted || gameOver || paused || watching) return;
 
-    return () => {
-      if (cleanupIntervalRef.current) clearInterval(cleanupIntervalRef.current);
+    const onOrientationChange = () => {
+      game.pause();
+      setPaused(true);
     };
-  }, [gameStarted, gameOver, paused]);
+    const orientation = window.screen?.orientation;
+    if (orientation?.addEventListener) {
+      orientation.addEventListener("change", onOrientationChange);
+      return () => orientation.removeEventListener("change", onOrientationChange);
+    }
+    window.addEventListener("orientationchange", onOrientationChange);
+    return () => window.removeEventListener("orientationchange", onOrientationChange);
+  }, [game, gameStarted, gameOver, paused, watching]);
 
-  useEffect(() => {
-    if (!gameStarted || gameOver || paused) return;
-    if (time > 0) {
-      const timer = setTimeout(() => setTime((t) => t - 1), 1000);
-      return () => clearTimeout(timer);
-    } else {
-      setGameOver(true);
-      setObjects([]);
+  // Practice scores never touch the reward contract; the best one can be sent
+  // to the reward-free leaderboard contract once a wallet is connected.
+  const submitBestPracticeScore = async () => {
+    const best = bestPracticeScore(practiceScores.filter((entry) => isRewardEligibleMode(entry.mode)));
+    if (!best || !smartAccount || !leaderboardContractAddress) return;
+
+    try {
+      setIsSubmittingPractice(true);
+      console.log("📤 Submitting best practice score:", best.score);
+      const result = await userOps.send({
+        kind: "practiceSubmit",
+        account: smartAccount,
+        calls: [(await getLeaderboardContract(publicClient, leaderboardContractAddress)).submitScoreCall({ score: best.score })],
+        label: "practice score submission",
+        meta: { practiceId: best.id, score: best.score },
+      });
+      reportUserOpResult(result, `✅ Best practice score of ${best.score} submitted to the leaderboard!`, "Practice score submission");
+    } catch (error) {
+      console.error("Practice score submission error:", error);
+      alertUserOpError(error, "Failed to submit practice score");
+    } finally {
+      setIsSubmittingPractice(false);
     }
-  }, [time, gameStarted, gameOver, paused]);
+  };
 
   // Game Controls
-  const startGame = () => {
-    if (!isConnected) {
+  // The run to race in a game with `rules`, per the ghost picker. `variant`
+  // tells daily and custom games' personal bests apart (see personalBests.js).
+  const loadGhost = async (rules, variant) => {
+    try {
+      if (ghostSource === "best") {
+        const best = loadPersonalBest(rules, variant);
+        return best ? createGhost(parseReplay(best), "Best") : null;
+      }
+      if (ghostSource === "leader" && leaderboard.length > 0) {
+        const { replay } = await fetchBestReplay(leaderboard[0].wallet);
+        return createGhost(parseReplay(replay), "#1");
+      }
+      if (ghostSource === "file" && importedGhost) return createGhost(importedGhost, "Ghost");
+    } catch (err) {
+      console.warn("Ghost unavailable, playing without one:", err);
+    }
+    return null;
+  };
+
+  // `daily` plays today's challenge: everyone gets the same seed and rules
+  // `custom` plays a custom ruleset (with its seed set), which needs no wallet
+  const startGame = async ({ practice = false, daily: playDaily = false, custom = null } = {}) => {
+    if (!practice && !custom && !isConnected) {
       alert("Please connect your wallet first!");
       return;
     }
+    // Objects can't be drawn (or clicked) before the skin's sprites arrive
+    if (!skinPack.ready) return;
+    // Browsers only let audio start from a click, so wake it up now
+    audio.unlock();
+
+    const imageCount = skinPack.atlas.count;
+    const rules = custom
+      ? customRules(custom, { imageCount })
+      : playDaily ? dailyRules({ imageCount }) : rulesForGame({ difficulty, mode: gameMode, imageCount });
+    const challenge = playDaily && !custom ? daily.id : null;
+    const customCode = custom ? encodeChallengeCode(custom) : null;
+    let session = null;
+    if (!practice && !custom && isRewardEligibleMode(rules.mode) && isScoreVerifierEnabled() && smartAccountAddress) {
+      try {
+        session = await requestGameSession(smartAccountAddress, { difficulty: rules.difficulty, mode: rules.mode, imageCount, daily: playDaily });
+      } catch (err) {
+        console.warn("Score verifier unavailable, this game can't be saved:", err);
+      }
+    }
+    gameSessionRef.current = session;
+    historyIdRef.current = null;
+    const bestVariant = challenge ?? customCode;
+    const nextGhost = await loadGhost(session?.rules ?? rules, bestVariant);
+
+    replayPlayer.close();
+    const onEnd = (result) => {
+      if (recordPersonalBest(game.replay.current, result.score, bestVariant)) console.log("🏅 New personal best:", result.score);
+      // Custom rules could make any achievement trivial
+      if (!custom) achievements.track({ counters: ["gamesPlayed"], metrics: result });
+      const analytics = analyzeReplay(game.replay.current);
+      setLastAnalytics(analytics);
+      historyIdRef.current = gameHistory.record({
+        playedAt: result.endedAt,
+        mode: result.mode,
+        difficulty: result.difficulty,
+        score: result.score,
+        accuracy: result.accuracy,
+        hits: result.hits,
+        misses: result.misses,
+        maxCombo: result.maxCombo,
+        practice,
+        daily: challenge,
+        custom: customCode,
+        analytics,
+      });
+      if (customCode) {
+        setCustomScores(addCustomScore({ code: customCode, score: result.score, hits: result.hits, accuracy: result.accuracy }));
+      } else if (practice) {
+        setPracticeScores(addPracticeScore(result));
+      }
+      if (challenge) setDailyResults(addDailyResult({ challenge, score: result.score, player: practice ? null : smartAccountAddress, practice }));
+    };
+    const onEvent = audio.onGameEvent;
+    const seed = session?.seed ?? (challenge ? daily.seed : custom?.seed ?? undefined);
+    game.start({ seed, rules: session?.rules ?? rules, onEnd, onEvent });
+    setPracticeMode(practice);
+    setDailyGame(challenge);
+    setCustomGame(custom);
+    setGhost(nextGhost);
     setGameStarted(true);
-    setGameOver(false);
     setPaused(false);
-    setScore(0);
-    setTime(30);
-    setObjects([]);
-    setClickedObjects(new Set());
     setScoreSaved(false);
+    setSaveOpHash(null);
+  };
+
+  const restartGame = () => startGame({ practice: practiceMode, daily: dailyGame !== null, custom: customGame });
+
+  // Custom rules get a seed the first time they're played, so the code
+  // shared afterwards replays the same spawns
+  const playCustomRules = (settings = customSettings) => {
+    const custom = normalizeCustomSettings({ ...settings, seed: settings.seed ?? randomSeed() });
+    setCustomSettings(custom);
+    setShowCustomRules(false);
+    startGame({ custom });
+  };
+
+  const loadChallengeCode = () => {
+    try {
+      playCustomRules(decodeChallengeCode(challengeCodeInput));
+      setChallengeCodeInput("");
+    } catch (err) {
+      alert(`Could not load challenge: ${err.message}`);
+    }
+  };
+
+  const copyChallengeLink = async (settings) => {
+    const custom = normalizeCustomSettings({ ...settings, seed: settings.seed ?? randomSeed() });
+    setCustomSettings(custom);
+    try {
+      await navigator.clipboard.writeText(challengeUrl(encodeChallengeCode(custom)));
+      alert("🔗 Challenge link copied!");
+    } catch (err) {
+      console.error("Failed to copy challenge link:", err);
+    }
   };
 
+  // Without a wallet the daily challenge is played as practice
+  const startDailyChallenge = () => startGame({ practice: !isConnected, daily: true });
+
   const quitGame = () => {
+    game.stop();
     setGameStarted(false);
-    setGameOver(false);
     setPaused(false);
-    setObjects([]);
-    setClickedObjects(new Set());
     setScoreSaved(false);
+    setSaveOpHash(null);
   };
 
-  const togglePause = () => setPaused((p) => !p);
+  const selectDifficulty = (id) => {
+    setDifficulty(id);
+    localStorage.setItem("egoBust.difficulty", id);
+    if (!gameStarted) game.stop(rulesForGame({ difficulty: id, mode: gameMode }));
+  };
 
-  const bustObject = (id) => {
-    if (paused) return;
-    setClickedObjects((prev) => new Set(prev).add(id));
-    setTimeout(() => {
-      setObjects((prev) => prev.filter((obj) => obj.id !== id));
-      setClickedObjects((prev) => {
-        const newSet = new Set(prev);
-        newSet.delete(id);
-        return newSet;
-      });
-      setScore((s) => s + 10);
-    }, 300);
+  const selectGameMode = (id) => {
+    setGameMode(id);
+    localStorage.setItem("egoBust.mode", id);
+    if (!gameStarted) game.stop(rulesForGame({ difficulty, mode: id }));
   };
 
-  // Modal Components
-  const renderTransferModal = () => {
-    if (!showTransferModal) return null;
-    
-    const directionLabel = transferDirection === "toSmart" ? "to Smart Account ⚡" : "to Main Wallet";
-    const sourceBalance = transferDirection === "toSmart" 
-      ? (transferType === "MON" ? mainAccountMonBalance : mainAccountWmonBalance)
-      : (transferType === "MON" ? monBalance : wmonBalance);
+  const selectSkin = (id) => {
+    setSkinId(id);
+    localStorage.setItem("egoBust.skin", id);
+  };
 
-    return (
-      <div className="modal-overlay" onClick={(e) => e.stopPropagation()}>
-        <div className="transfer-modal">
-          <h3>💸 Transfer Funds</h3>
-          <p className="transfer-direction">Transferring {directionLabel}</p>
+  const finishGame = () => {
+    game.finish();
+    setPaused(false);
+  };
 
-          <div className="transfer-form">
-            <div className="form-group">
-              <label>Transfer Direction</label>
-              <select value={transferDirection} onChange={(e) => setTransferDirection(e.target.value)} className="direction-select">
-                <option value="toSmart">Main Wallet → Smart Account</option>
-                <option value="toMain">Smart Account → Main Wallet</option>
-              </select>
-            </div>
+  const togglePause = () => {
+    if (paused) {
+      game.resume();
+    } else {
+      game.pause();
+    }
+    setPaused(!paused);
+  };
 
-            <div className="form-group">
+  // Measured at event time, so a resize that hasn't re-rendered yet can't skew it
+  const toFieldPoint = (e) => {
+    const gameArea = gameAreaRef.current;
+    const rect = gameArea.getBoundingClientRect();
+    const scale = gameArea.clientWidth / game.rules.fieldWidth;
+    return {
+      x: (e.clientX - rect.left - gameArea.clientLeft) / scale,
+      y: (e.clientY - rect.top - gameArea.clientTop) / scale,
+    };
+  };
+
+  // The canvas has no per-object elements; the engine hit-tests each press
+  // itself. Every finger gets its own pointerdown, so two thumbs bust two objects.
+  const pressField = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    if (paused || watching || !gameStarted || gameOver) return;
+    const touch = e.pointerType === "touch" || e.pointerType === "pen";
+    game.clickAt(toFieldPoint(e), { slop: touch ? TOUCH_SLOP : 0 });
+  };
+
+  // Keyboard play: 1-9 bust in that grid cell, arrows move the cursor,
+  // Space/Enter bust at the cursor and P pauses
+  const bustCell = (cell) => {
+    const frame = game.frame();
+    if (!frame) return;
+    game.clickAt(clickPointForCell(frame.objects, game.rules, cell));
+  };
+
+  const handleFieldKey = (e) => {
+    if (watching || !gameStarted || gameOver) return;
+    if (e.key === "p" || e.key === "P") {
+      e.preventDefault();
+      togglePause();
+      return;
+    }
+    if (paused) return;
+
+    const cell = cellForKey(e.key);
+    if (cell !== null) {
+      e.preventDefault();
+      setGridCursor(cell);
+      bustCell(cell);
+    } else if (isArrowKey(e.key)) {
+      e.preventDefault();
+      setGridCursor((current) => moveCell(current, e.key));
+    } else if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      bustCell(gridCursor);
+    }
+  };
+
+  const updateA11y = (patch) => setA11y((prev) => saveAccessibilitySettings({ ...prev, ...patch }));
+
+  const formatAccuracy = (value) => `${Math.round(value * 100)}%`;
+
+  // Replays
+  const watchLastReplay = () => {
+    if (!game.replay.current) return;
+    replayPlayer.load(parseReplay(serializeReplay(game.replay.current, score)));
+  };
+
+  const exportReplay = () => {
+    const replay = game.replay.current;
+    if (!replay) return;
+    const blob = new Blob([serializeReplay(replay, score)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `ego-bust-replay-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importReplay = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const replay = parseReplay(await file.text());
+      if (gameStarted) quitGame();
+      replayPlayer.load(replay);
+    } catch (err) {
+      console.error("Replay import error:", err);
+      alert(`Could not load replay: ${err.message}`);
+    }
+  };
+
+  const importGhost = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setImportedGhost(parseReplay(await file.text()));
+      setGhostSource("file");
+    } catch (err) {
+      console.error("Ghost import error:", err);
+      alert(`Could not load ghost: ${err.message}`);
+    }
+  };
+
+  const selectGhostSource = (id) => {
+    if (id === "file") {
+      ghostFileRef.current?.click();
+      return;
+    }
+    setGhostSource(id);
+  };
+
+  const formatReplayTime = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+  const formatCountdown = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  };
+
+  // Timed games count down; survival and zen show elapsed time
+  const formatGameClock = (snap) =>
+    snap.timeLeft === null ? `${Math.floor(snap.time / 1000)}s` : `${Math.ceil(snap.timeLeft / 1000)}s`;
+
+  // Modal Components
+  const renderTransferModal = () => {
+    if (!showTransferModal) return null;
+    
+    const directionLabel = transferDirection === "toSmart" ? "to Smart Account ⚡" : "to Main Wallet";
+    const sourceBalance = transferDirection === "toSmart" 
+      ? (transferType === "MON" ? mainAccountMonBalance : mainAccountWmonBalance)
+      : (transferType === "MON" ? monBalance : wmonBalance);
+
+    return (
+      <div className="modal-overlay" onClick={(e) => e.stopPropagation()}>
+        <div className="transfer-modal" ref={transferModalRef} role="dialog" aria-modal="true" aria-labelledby="transfer-modal-title">
+          <h3 id="transfer-modal-title">💸 Transfer Funds</h3>
+          <p className="transfer-direction">Transferring {directionLabel}</p>
+
+          <div className="transfer-form">
+            <div className="form-group">
+              <label>Transfer Direction</label>
+              <select value={transferDirection} onChange={(e) => setTransferDirection(e.target.value)} className="direction-select">
+                <option value="toSmart">Main Wallet → Smart Account</option>
+                <option value="toMain">Smart Account → Main Wallet</option>
+              </select>
+            </div>
+
+            <div className="form-group">
               <label>Token Type</label>
               <select value={transferType} onChange={(e) => setTransferType(e.target.value)} className="token-select">
                 <option value="MON">MON (Gas Token)</option>
@@ -1161,14 +1342,20 @@ Please send MON to: ${smartAccountAddress}`);
     );
   };
 
+  const selectGasPreset = (key) => {
+    setSelectedGasSpeed(key);
+    setShowCustomGas(false);
+    setShowGasOptions(false);
+  };
+
   const renderGasSpeedSelector = () => {
     if (!showGasOptions) return null;
     const currentGasOptions = getCurrentGasOptions();
 
     return (
       <div className="gas-options-overlay" onClick={(e) => e.stopPropagation()}>
-        <div className="gas-options-modal">
-          <h3>⚡ Select Gas Speed</h3>
+        <div className="gas-options-modal" ref={gasOptionsRef} role="dialog" aria-modal="true" aria-labelledby="gas-options-title">
+          <h3 id="gas-options-title">⚡ Select Gas Speed</h3>
           <p className="gas-options-description">Choose transaction speed and cost</p>
 
           <div className="custom-gas-section">
@@ -1191,10 +1378,15 @@ Please send MON to: ${smartAccountAddress}`);
                 <div
                   key={key}
                   className={`gas-option ${selectedGasSpeed === key && !showCustomGas ? "selected" : ""}`}
-                  onClick={() => {
-                    setSelectedGasSpeed(key);
-                    setShowCustomGas(false);
-                    setShowGasOptions(false);
+                  role="button"
+                  tabIndex={0}
+                  aria-pressed={selectedGasSpeed === key && !showCustomGas}
+                  onClick={() => selectGasPreset(key)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" || e.key === " ") {
+                      e.preventDefault();
+                      selectGasPreset(key);
+                    }
                   }}
                 >
                   <div className="gas-option-header">
@@ -1226,9 +1418,330 @@ Please send MON to: ${smartAccountAddress}`);
     );
   };
 
+  const renderScoreBreakdown = () => {
+    if (!game.lastResult) return null;
+    return (
+      <div className="score-breakdown">
+        <div><small>Hits</small><strong>{game.lastResult.hits}</strong></div>
+        <div><small>Misses</small><strong>{game.lastResult.misses}</strong></div>
+        <div><small>Max Combo</small><strong>{game.lastResult.maxCombo}</strong></div>
+        <div><small>Accuracy</small><strong>{formatAccuracy(game.lastResult.accuracy)}</strong></div>
+      </div>
+    );
+  };
+
+  const renderDailyNote = () => {
+    if (!dailyGame) return null;
+    const streak = dailyStreak(dailyResults, daily.id);
+    return (
+      <p className="daily-note">
+        📅 Daily Challenge {dailyGame} • 🔥 {streak} day streak • next in {formatCountdown(daily.msUntilNext)}
+      </p>
+    );
+  };
+
+  const formatMs = (ms) => (ms === null ? "—" : `${ms}ms`);
+
+  const renderAnalytics = (analytics, title) => {
+    const maxBucket = Math.max(1, ...analytics.reaction.buckets);
+    const cells = analytics.heatmap.hits.map((hits, i) => ({ hits, misses: analytics.heatmap.misses[i] }));
+    const maxCell = Math.max(1, ...cells.map((cell) => cell.hits + cell.misses));
+    return (
+      <details className="analytics-panel">
+        <summary>📊 {title}</summary>
+        <div className="score-breakdown">
+          <div><small>Avg Reaction</small><strong>{formatMs(averageReaction(analytics))}</strong></div>
+          {analytics.reaction.median !== null && <div><small>Median</small><strong>{formatMs(analytics.reaction.median)}</strong></div>}
+          <div><small>Fastest</small><strong>{formatMs(analytics.reaction.fastest)}</strong></div>
+          <div><small>Got Away</small><strong>{formatAccuracy(expiredShare(analytics))}</strong></div>
+        </div>
+        <h4>Reaction times</h4>
+        <div className="reaction-histogram">
+          {analytics.reaction.buckets.map((count, i) => (
+            <div
+              key={i}
+              className="reaction-bar"
+              style={{ height: `${(count / maxBucket) * 100}%` }}
+              title={`${i * REACTION_BUCKET_MS}${i === REACTION_BUCKETS - 1 ? "ms+" : `–${(i + 1) * REACTION_BUCKET_MS}ms`}: ${count} busts`}
+            />
+          ))}
+        </div>
+        <div className="reaction-axis">
+          <span>0ms</span>
+          <span>{(REACTION_BUCKETS - 1) * REACTION_BUCKET_MS}ms+</span>
+        </div>
+        <h4>Where you tapped</h4>
+        <div className="heatmap" style={{ gridTemplateColumns: `repeat(${HEATMAP_COLUMNS}, 1fr)` }}>
+          {cells.map((cell, i) => {
+            const total = cell.hits + cell.misses;
+            return (
+              <div
+                key={i}
+                className="heatmap-cell"
+                style={{ background: total === 0 ? undefined : `hsla(${Math.round((cell.hits / total) * 120)}, 80%, 50%, ${0.2 + (total / maxCell) * 0.7})` }}
+                title={`${cell.hits} hits, ${cell.misses} misses`}
+              />
+            );
+          })}
+        </div>
+        <p className="heatmap-legend">🟢 mostly hits • 🔴 mostly misses • brighter = more taps</p>
+        <p className="analytics-tip">💡 {improvementTip(analytics)}</p>
+      </details>
+    );
+  };
+
+  const renderHistory = () => {
+    const games = gameHistory.games.filter((played) => historyMode === "all" || played.mode === historyMode);
+    const best = personalBest(games);
+    const averages = rollingAverage(games.map((played) => played.score));
+    const chart = scoreChart(games);
+    const analyzed = games.filter((played) => played.analytics);
+    return (
+      <div className="mt-8">
+        <h3 className="text-xl font-bold mb-4 text-center">📈 Game History</h3>
+        <div className="difficulty-picker mb-4" role="radiogroup" aria-label="History mode">
+          {["all", ...Object.keys(GAME_MODES)].map((key) => (
+            <button key={key} role="radio" aria-checked={historyMode === key} className={`difficulty-option ${historyMode === key ? "selected" : ""}`} onClick={() => setHistoryMode(key)}>
+              {key === "all" ? "🌐 All Modes" : gameModeLabel(key)}
+            </button>
+          ))}
+        </div>
+        {games.length === 0 ? (
+          <p className="text-center opacity-80">No finished games on this device yet.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="stats-card bg-purple-800">
+                <h3>Games</h3>
+                <p>{games.length}</p>
+              </div>
+              <div className="stats-card bg-yellow-600">
+                <h3>Personal Best</h3>
+                <p>{best.score.toLocaleString()}</p>
+              </div>
+              <div className="stats-card bg-blue-600">
+                <h3>Average (last {Math.min(ROLLING_WINDOW, games.length)})</h3>
+                <p>{Math.round(averages[averages.length - 1]).toLocaleString()}</p>
+              </div>
+            </div>
+            <svg className="history-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={`Scores of ${games.length} games, best ${best.score}`}>
+              <path d={chart.scorePath} className="history-score-line" />
+              <path d={chart.averagePath} className="history-average-line" />
+              {chart.best && <circle cx={chart.best.x} cy={chart.best.y} r="3" className="history-best-point" />}
+            </svg>
+            <p className="history-legend">
+              <span className="history-score-key">Score</span> • <span className="history-average-key">{ROLLING_WINDOW}-game average</span> • <span className="history-best-key">Best</span>
+              {" "}• {new Date(games[0].playedAt).toLocaleDateString()} – {new Date(games[games.length - 1].playedAt).toLocaleDateString()}
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-white">
+                <thead>
+                  <tr className="border-b-2 border-purple-600">
+                    <th className="text-left py-2 px-2">Date</th>
+                    <th className="text-left py-2 px-2">Mode</th>
+                    <th className="text-right py-2 px-2">Score</th>
+                    <th className="text-right py-2 px-2">Accuracy</th>
+                    <th className="text-right py-2 px-2">On-chain</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {games.slice(-10).reverse().map((played) => (
+                    <tr key={played.id} className="border-b border-purple-700">
+                      <td className="py-2 px-2">{new Date(played.playedAt).toLocaleString()}</td>
+                      <td className="py-2 px-2">{gameModeLabel(played.mode)}{played.practice ? " 🧪" : ""}{played.daily ? " 📅" : ""}{played.custom ? " 🛠️" : ""}</td>
+                      <td className="py-2 px-2 text-right font-bold">{played.score.toLocaleString()}</td>
+                      <td className="py-2 px-2 text-right">{formatAccuracy(played.accuracy)}</td>
+                      <td className="py-2 px-2 text-right">{played.savedOnChain ? "✅" : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {analyzed.length > 0 && renderAnalytics(combineAnalytics(analyzed.map((played) => played.analytics)), `Analytics over ${analyzed.length} games`)}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const describeTransaction = ({ details }) => {
+    if (details.score !== undefined) return `Score ${details.score.toLocaleString()}`;
+    if (details.amount === undefined) return "";
+    return `${Number(details.amount).toLocaleString(undefined, { maximumFractionDigits: 4 })} ${details.token}${details.to ? ` → ${formatAddress(details.to)}` : ""}`;
+  };
+
+  const formatGasPaid = (entry) => {
+    if (entry.sponsored) return "⛽ Sponsored";
+    if (entry.gasPaid === null) return "—";
+    return `${Number(formatEther(BigInt(entry.gasPaid))).toFixed(6)} MON`;
+  };
+
+  const renderTransactionHistory = () => {
+    const entries = transactions.entries.filter((entry) => transactionWallet === "all" || entry.wallet === transactionWallet);
+    return (
+      <div className="w-full max-w-4xl mx-auto">
+        <h2 className="text-3xl font-bold mb-6 text-center">🧾 History</h2>
+        <div className="bg-purple-800 rounded-xl p-6 shadow-2xl">
+          <div className="transaction-toolbar">
+            <div className="difficulty-picker" role="radiogroup" aria-label="Account">
+              {[["all", "All"], ["main", "Main Wallet"], ["smart", "Smart Account ⚡"]].map(([id, label]) => (
+                <button key={id} role="radio" aria-checked={transactionWallet === id} className={`difficulty-option ${transactionWallet === id ? "selected" : ""}`} onClick={() => setTransactionWallet(id)}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button onClick={transactions.refresh} disabled={transactions.loading} className="transfer-btn-small">
+              {transactions.loading ? "⏳ Loading..." : "🔄 Refresh"}
+            </button>
+          </div>
+          {transactions.error && (
+            <p className="text-xs opacity-70 text-center">Couldn't load on-chain events, showing what this device sent.</p>
+          )}
+          {!isConnected ? (
+            <p className="text-center text-lg opacity-80">Connect a wallet to see its transactions.</p>
+          ) : entries.length === 0 ? (
+            <p className="text-center text-lg opacity-80">{transactions.loading ? "Loading transactions..." : "No transactions yet."}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-white transaction-table">
+                <thead>
+                  <tr className="border-b-2 border-purple-600">
+                    <th className="text-left py-2 px-2">Type</th>
+                    <th className="text-left py-2 px-2">Account</th>
+                    <th className="text-left py-2 px-2">Status</th>
+                    <th className="text-right py-2 px-2">Gas Paid</th>
+                    <th className="text-right py-2 px-2">Block</th>
+                    <th className="text-right py-2 px-2">Explorer</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => {
+                    const kind = TRANSACTION_KINDS[entry.kind] ?? { label: entry.kind, icon: "•" };
+                    const url = explorerTxUrl(network, entry.hash);
+                    return (
+                      <tr key={entry.id} className="border-b border-purple-700">
+                        <td className="py-2 px-2">
+                          {kind.icon} {kind.label}
+                          <small className="transaction-detail">{describeTransaction(entry)}</small>
+                        </td>
+                        <td className="py-2 px-2">{entry.wallet === "smart" ? "Smart ⚡" : "Main"}</td>
+                        <td className={`py-2 px-2 transaction-status ${entry.status}`}>{TRANSACTION_STATUSES[entry.status] ?? entry.status}</td>
+                        <td className="py-2 px-2 text-right">{formatGasPaid(entry)}</td>
+                        <td className="py-2 px-2 text-right">{entry.blockNumber?.toLocaleString() ?? "—"}</td>
+                        <td className="py-2 px-2 text-right">
+                          {url ? (
+                            <a href={url} target="_blank" rel="noreferrer" className="underline text-yellow-300">{formatAddress(entry.hash)}</a>
+                          ) : entry.hash ? (
+                            formatAddress(entry.hash)
+                          ) : (
+                            <span title={entry.userOpHash}>UserOp {formatAddress(entry.userOpHash)}</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderCustomNote = () => {
+    if (!customGame) return null;
+    const code = encodeChallengeCode(customGame);
+    return (
+      <div className="custom-note">
+        <p className="practice-note">{CUSTOM_LABEL} rules • scores stay on this device and are never submitted</p>
+        <p>
+          Best on this challenge: <span>{bestCustomScore(customScores, code)}</span>
+        </p>
+        <p className="challenge-code">{code}</p>
+        <button onClick={() => copyChallengeLink(customGame)} className="transfer-btn-small">🔗 Copy Challenge Link</button>
+      </div>
+    );
+  };
+
+  const renderCustomRules = () => {
+    const update = (changes) => setCustomSettings((prev) => ({ ...prev, ...changes }));
+    return (
+      <div className="custom-rules" role="group" aria-labelledby="custom-rules-title">
+        <h3 id="custom-rules-title">{CUSTOM_LABEL} Rules</h3>
+        <div className="custom-rules-grid">
+          {Object.entries(CUSTOM_LIMITS).map(([key, limit]) => (
+            <label key={key}>
+              {limit.label}
+              <input type="number" min={limit.min} max={limit.max} step={limit.step} value={customSettings[key]} onChange={(e) => update({ [key]: e.target.value })} onBlur={() => setCustomSettings(normalizeCustomSettings(customSettings))} />
+            </label>
+          ))}
+          {Object.entries(OBJECT_TYPES).map(([type, { label, marker }]) => (
+            <label key={type}>
+              {marker ?? "🎈"} {label} weight
+              <input
+                type="number"
+                min="0"
+                max={MAX_SPAWN_WEIGHT}
+                value={customSettings.spawnWeights[type] ?? 0}
+                onChange={(e) => update({ spawnWeights: { ...customSettings.spawnWeights, [type]: e.target.value } })}
+                onBlur={() => setCustomSettings(normalizeCustomSettings(customSettings))}
+              />
+            </label>
+          ))}
+          <label>
+            Seed (blank for random)
+            <input type="number" min="0" value={customSettings.seed ?? ""} onChange={(e) => update({ seed: e.target.value === "" ? null : e.target.value })} onBlur={() => setCustomSettings(normalizeCustomSettings(customSettings))} />
+          </label>
+        </div>
+        <p className="practice-note">Custom scores stay on this device and are never submitted for rewards</p>
+        <div className="flex flex-wrap gap-3 justify-center">
+          <button onClick={() => playCustomRules()} disabled={!skinPack.ready} className="start-btn">▶️ Play Custom</button>
+          <button onClick={() => copyChallengeLink(customSettings)} className="pause-btn">🔗 Copy Link</button>
+          <button onClick={() => setCustomSettings(DEFAULT_CUSTOM_SETTINGS)} className="pause-btn">↩️ Reset</button>
+        </div>
+        <div className="challenge-code-form">
+          <input type="text" placeholder="Paste a challenge code" value={challengeCodeInput} onChange={(e) => setChallengeCodeInput(e.target.value)} aria-label="Challenge code" />
+          <button onClick={loadChallengeCode} disabled={!challengeCodeInput.trim() || !skinPack.ready} className="transfer-btn-small">▶️ Load Code</button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderPracticeSubmit = () => {
+    const best = bestPracticeScore(practiceScores.filter((entry) => isRewardEligibleMode(entry.mode)));
+    if (!best) return null;
+
+    const submitted = best.submittedBy && best.submittedBy === smartAccountAddress;
+    return (
+      <div className="practice-submit">
+        <p>
+          Best practice score: <span>{best.score}</span> ({gameModeLabel(best.mode)} • {difficultyLabel(best.difficulty)})
+        </p>
+        {!isConnected ? (
+          <p className="text-xs opacity-70">Connect a wallet to submit your best practice score to the leaderboard.</p>
+        ) : !leaderboardContractAddress ? (
+          <p className="text-xs opacity-70">Practice score submission is not configured.</p>
+        ) : submitted ? (
+          <p className="text-xs opacity-70">✅ Submitted to the leaderboard</p>
+        ) : (
+          <button onClick={submitBestPracticeScore} disabled={isSubmittingPractice || !smartAccount} className="save-btn">
+            {isSubmittingPractice ? "⏳ Submitting..." : "📤 Submit My Best Practice Score"}
+          </button>
+        )}
+      </div>
+    );
+  };
+
   // Content Renderer
   const renderContent = () => {
     const currentGasOptions = getCurrentGasOptions();
+    const filteredSavedScores = savedScores
+      .filter((entry) => leaderboardDifficulty === "all" || entry.difficulty === leaderboardDifficulty)
+      .filter((entry) => leaderboardMode === "all" || entry.mode === leaderboardMode)
+      .sort((a, b) => b.score - a.score);
+    const todaysDailyRuns = dailyRuns(dailyResults, daily.id);
+    const canSaveOnChain = isRewardEligibleMode(game.rules.mode) && !isCustomRules(game.rules);
 
     switch (activeTab) {
       case "leaderboard":
@@ -1262,8 +1775,96 @@ Please send MON to: ${smartAccountAddress}`);
                             {entry.wallet.toLowerCase() === smartAccountAddress?.toLowerCase() && <span className="ml-2 text-yellow-400">⭐</span>}
                           </td>
                           <td className="py-3 px-4 text-right font-bold">{entry.score.toLocaleString()}</td>
-                          <td className="py-3 px-4 text-right">{entry.gamesPlayed}</td>
-                          <td className="py-3 px-4 text-right font-bold text-green-400">{entry.totalEarned.toFixed(2)} WMON</td>
+                          <td className="py-3 px-4 text-right">{entry.gamesPlayed ?? "—"}</td>
+                          <td className="py-3 px-4 text-right font-bold text-green-400">{entry.totalEarned === null ? "—" : `${entry.totalEarned.toFixed(2)} WMON`}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <h3 className="text-2xl font-bold mt-8 mb-2 text-center">📅 Daily Challenge • {daily.id}</h3>
+            <p className="text-sm opacity-80 mb-4 text-center">
+              {gameModeLabel(DAILY_CHALLENGE.mode)} • {difficultyLabel(DAILY_CHALLENGE.difficulty)} • same spawns for everyone today • 🔥 {dailyStreak(dailyResults, daily.id)} day streak • next challenge in {formatCountdown(daily.msUntilNext)}
+            </p>
+            <div className="bg-purple-800 rounded-xl p-6 shadow-2xl">
+              <h4 className="text-xl font-bold mb-1">Your runs today</h4>
+              <p className="text-sm opacity-70 mb-4">Played on this device. Other players' runs aren't shown.</p>
+              {todaysDailyRuns.length === 0 ? (
+                <div className="text-center">
+                  <p className="text-lg opacity-80 mb-4">You haven't played today's challenge on this device yet.</p>
+                  <button onClick={() => { setActiveTab("game"); startDailyChallenge(); }} disabled={!skinPack.ready} className="start-btn">
+                    📅 Play Today's Challenge
+                  </button>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-white">
+                    <thead>
+                      <tr className="border-b-2 border-purple-600">
+                        <th className="text-left py-4 px-4 font-bold text-lg">#</th>
+                        <th className="text-left py-4 px-4 font-bold text-lg">Account</th>
+                        <th className="text-right py-4 px-4 font-bold text-lg">Score</th>
+                        <th className="text-right py-4 px-4 font-bold text-lg">Time</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {todaysDailyRuns.map((entry, idx) => (
+                        <tr key={`${entry.playedAt}-${idx}`} className="border-b border-purple-700 hover:bg-purple-700 transition-colors">
+                          <td className="py-3 px-4 font-semibold">#{idx + 1}</td>
+                          <td className="py-3 px-4 font-mono">{entry.practice ? "🧪 Practice" : formatAddress(entry.player)}</td>
+                          <td className="py-3 px-4 text-right font-bold">{entry.score.toLocaleString()}</td>
+                          <td className="py-3 px-4 text-right">{new Date(entry.playedAt).toLocaleTimeString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <h3 className="text-2xl font-bold mt-8 mb-4 text-center">📋 Saved Runs by Mode & Difficulty</h3>
+            <div className="difficulty-picker">
+              {["all", ...Object.keys(GAME_MODES).filter(isRewardEligibleMode)].map((key) => (
+                <button key={key} className={`difficulty-option ${leaderboardMode === key ? "selected" : ""}`} onClick={() => setLeaderboardMode(key)}>
+                  {key === "all" ? "🌐 All Modes" : gameModeLabel(key)}
+                </button>
+              ))}
+            </div>
+            <div className="difficulty-picker mb-4">
+              {["all", ...Object.keys(DIFFICULTIES)].map((key) => (
+                <button key={key} className={`difficulty-option ${leaderboardDifficulty === key ? "selected" : ""}`} onClick={() => setLeaderboardDifficulty(key)}>
+                  {key === "all" ? "🌐 All" : difficultyLabel(key)}
+                </button>
+              ))}
+            </div>
+            <div className="bg-purple-800 rounded-xl p-6 shadow-2xl">
+              {filteredSavedScores.length === 0 ? (
+                <p className="text-center text-lg opacity-80">No saved runs on this device yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-white">
+                    <thead>
+                      <tr className="border-b-2 border-purple-600">
+                        <th className="text-left py-4 px-4 font-bold text-lg">Rank</th>
+                        <th className="text-left py-4 px-4 font-bold text-lg">Player</th>
+                        <th className="text-left py-4 px-4 font-bold text-lg">Mode</th>
+                        <th className="text-left py-4 px-4 font-bold text-lg">Difficulty</th>
+                        <th className="text-right py-4 px-4 font-bold text-lg">Score</th>
+                        <th className="text-right py-4 px-4 font-bold text-lg">Date</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filteredSavedScores.map((entry, idx) => (
+                        <tr key={`${entry.txHash}-${idx}`} className="border-b border-purple-700 hover:bg-purple-700 transition-colors">
+                          <td className="py-3 px-4 font-semibold">#{idx + 1}</td>
+                          <td className="py-3 px-4 font-mono">{formatAddress(entry.player)}</td>
+                          <td className="py-3 px-4">{gameModeLabel(entry.mode)}</td>
+                          <td className="py-3 px-4">{difficultyLabel(entry.difficulty)}</td>
+                          <td className="py-3 px-4 text-right font-bold">{entry.score.toLocaleString()}</td>
+                          <td className="py-3 px-4 text-right">{new Date(entry.savedAt).toLocaleDateString()}</td>
                         </tr>
                       ))}
                     </tbody>
@@ -1274,6 +1875,9 @@ Please send MON to: ${smartAccountAddress}`);
           </div>
         );
 
+      case "history":
+        return renderTransactionHistory();
+
       case "stats":
         return (
           <div className="w-full max-w-2xl mx-auto">
@@ -1281,7 +1885,7 @@ Please send MON to: ${smartAccountAddress}`);
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div className="stats-card bg-purple-800">
                 <h3>Total Games</h3>
-                <p className="text-3xl font-bold">{playerStats.totalGames}</p>
+                <p className="text-3xl font-bold">{playerStats.totalGames ?? "—"}</p>
               </div>
               <div className="stats-card bg-green-800">
                 <h3>Total Score</h3>
@@ -1297,6 +1901,63 @@ Please send MON to: ${smartAccountAddress}`);
               </div>
             </div>
 
+            {renderHistory()}
+
+            {achievements.definitions.length > 0 && (
+              <div className="mt-8">
+                <h3 className="text-xl font-bold mb-4 text-center">
+                  🏆 Badges • {achievements.definitions.filter((a) => achievements.unlocked[a.id]).length}/{achievements.definitions.length}
+                </h3>
+                <ul className="badges-grid">
+                  {achievements.definitions.map((achievement) => {
+                    const unlockedAt = achievements.unlocked[achievement.id];
+                    return (
+                      <li key={achievement.id} className={`badge ${unlockedAt ? "unlocked" : "locked"}`} title={achievement.description}>
+                        <span className="achievement-icon" aria-hidden="true">{unlockedAt ? achievement.icon : "🔒"}</span>
+                        <strong>{achievement.name}</strong>
+                        <small>{unlockedAt ? new Date(unlockedAt).toLocaleDateString() : achievement.description}</small>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+
+            {practiceScores.length > 0 && (
+              <div className="mt-8 text-center">
+                <h3 className="text-xl font-bold mb-2">🧪 Practice</h3>
+                <p className="text-sm opacity-80 mb-2">{practiceScores.length} practice runs on this device • not eligible for on-chain rewards</p>
+                {renderPracticeSubmit()}
+              </div>
+            )}
+
+            {game.lastResult && (
+              <div className="mt-8">
+                <h3 className="text-xl font-bold mb-4 text-center">🎯 Last Game • {gameModeLabel(game.lastResult.mode)} • {difficultyLabel(game.lastResult.difficulty)}</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="stats-card bg-purple-800">
+                    <h3>Hits</h3>
+                    <p>{game.lastResult.hits}</p>
+                  </div>
+                  <div className="stats-card bg-red-800">
+                    <h3>Misses</h3>
+                    <p>{game.lastResult.misses}</p>
+                  </div>
+                  <div className="stats-card bg-yellow-600">
+                    <h3>Max Combo</h3>
+                    <p>{game.lastResult.maxCombo}</p>
+                  </div>
+                  <div className="stats-card bg-blue-600">
+                    <h3>Accuracy</h3>
+                    <p>{formatAccuracy(game.lastResult.accuracy)}</p>
+                  </div>
+                </div>
+                <p className="text-sm opacity-70 mt-2 text-center">
+                  Score {game.lastResult.score} • {game.lastResult.expired} expired un-busted • {game.lastResult.bombs} bombs hit
+                </p>
+              </div>
+            )}
+
             {pendingRewards >= 1 && (
               <div className="mt-8 text-center">
                 <div className="mb-4">
@@ -1322,41 +1983,154 @@ Please send MON to: ${smartAccountAddress}`);
       default:
         return (
           <div className="game-container">
+            <p id="game-keyboard-help" className="sr-only">
+              Keys 1 to 9 bust an object in that part of a 3 by 3 grid, 1 being top left. Arrow keys move the cursor, Space or Enter busts at it, and P pauses.
+            </p>
+            <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
             <div className="game-stats mb-4">
               <div className="stat">
-                <span className="stat-label">Time</span>
-                <span className="stat-value">{time}s</span>
+                <span className="stat-label">{view.timeLeft === null ? "Elapsed" : "Time"}</span>
+                <span className="stat-value">{formatGameClock(view)}</span>
               </div>
+              {view.lives !== null && (
+                <div className="stat">
+                  <span className="stat-label">Lives</span>
+                  <span className="stat-value">❤️ {view.lives}</span>
+                </div>
+              )}
               <div className="stat">
                 <span className="stat-label">Score</span>
-                <span className="stat-value">{score}</span>
+                <span className="stat-value">{view.score}</span>
               </div>
+              {ghost && gameStarted && !watching && (
+                <div className="stat ghost-stat">
+                  <span className="stat-label">👻 {ghost.label}</span>
+                  <span className="stat-value">{ghost.at(view.time).score}</span>
+                </div>
+              )}
               <div className="stat">
-                <span className="stat-label">WMON</span>
-                <span className="stat-value">{(score * 0.01).toFixed(2)}</span>
+                <span className="stat-label">{(practiceMode || customGame) && !watching ? "Mode" : "WMON"}</span>
+                <span className="stat-value">
+                  {customGame && !watching ? CUSTOM_LABEL : practiceMode && !watching ? "🧪 Practice" : (view.score * 0.01).toFixed(2)}
+                </span>
               </div>
             </div>
 
-            <div className={`relative overflow-hidden rounded-xl game-area ${paused ? "paused" : ""} ${!isConnected ? "opacity-50" : ""}`} ref={gameAreaRef}>
-              {!isConnected && (
-                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-70 z-10">
+            <div className={`relative overflow-hidden rounded-xl game-area ${paused ? "paused" : ""} ${!isConnected && !gameStarted && !watching ? "opacity-50" : ""}`} ref={gameAreaRef} style={{ background: a11y.highContrast ? undefined : skinBackground(skinPack.skin) }} onPointerDown={pressField}
+              tabIndex={0} role="application" aria-label="Game field" aria-describedby="game-keyboard-help" onKeyDown={handleFieldKey} onFocus={() => setKeyboardActive(true)} onBlur={() => setKeyboardActive(false)}>
+              {!skinPack.ready && (
+                <div className="sprite-loader" role="status">
+                  {skinPack.error ? "⚠️ Couldn't load the game sprites. Refresh to try again." : `⏳ Loading skin… ${Math.round(skinPack.progress * 100)}%`}
+                  {!skinPack.error && <progress value={skinPack.progress} max="1" />}
+                </div>
+              )}
+              {!isConnected && !gameStarted && !watching && (
+                <div className="absolute inset-0 flex flex-col gap-3 items-center justify-center bg-black bg-opacity-70 z-10">
                   <p className="text-white text-lg font-semibold">Connect Wallet to Play</p>
+                  <button onClick={() => startGame({ practice: true })} disabled={!skinPack.ready} className="pause-btn">
+                    🧪 Practice Offline
+                  </button>
                 </div>
               )}
 
-              {objects.map((obj) => (
-                <img key={obj.id} src={obj.image} alt="object" className={`game-object ${clickedObjects.has(obj.id) ? "pop-effect" : ""}`} style={{ left: `${obj.x}px`, top: `${obj.y}px` }} onClick={() => bustObject(obj.id)} />
+              <canvas ref={gameCanvasRef} className="game-canvas" aria-hidden="true" />
+              {view.frozen && <div className="freeze-overlay">❄️ Frozen</div>}
+              {view.combo >= 2 && (
+                <div className="combo-indicator">
+                  🔥 {view.combo} combo • x{view.multiplier.toFixed(1)}
+                </div>
+              )}
+              {watching && replayPlayer.snapshot.clicks.map((click) => (
+                <span key={`click-${click.t}-${click.id}`} className="replay-click" style={{ left: `${click.x * fieldScale}px`, top: `${click.y * fieldScale}px` }} />
               ))}
             </div>
 
+            {!gameStarted && !watching && (
+              <div className="difficulty-picker" role="radiogroup" aria-label="Game mode">
+                {Object.entries(GAME_MODES).map(([key, option]) => (
+                  <button key={key} role="radio" aria-checked={gameMode === key} title={option.description} className={`difficulty-option ${gameMode === key ? "selected" : ""}`} onClick={() => selectGameMode(key)}>
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {!gameStarted && !watching && (
+              <div className="difficulty-picker" role="radiogroup" aria-label="Difficulty">
+                {Object.entries(DIFFICULTIES).map(([key, option]) => (
+                  <button key={key} role="radio" aria-checked={difficulty === key} className={`difficulty-option ${difficulty === key ? "selected" : ""}`} onClick={() => selectDifficulty(key)}>
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {!gameStarted && !watching && (
+              <div className="difficulty-picker" role="radiogroup" aria-label="Ghost">
+                {Object.entries(GHOST_SOURCES).map(([key, option]) => (
+                  <button
+                    key={key}
+                    role="radio"
+                    aria-checked={ghostSource === key}
+                    disabled={key === "leader" && (!isScoreVerifierEnabled() || leaderboard.length === 0)}
+                    className={`difficulty-option ${ghostSource === key ? "selected" : ""}`}
+                    onClick={() => selectGhostSource(key)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+                <input ref={ghostFileRef} type="file" accept="application/json,.json" onChange={importGhost} hidden />
+              </div>
+            )}
+
+            {!gameStarted && !watching && skinPack.skins.length > 1 && (
+              <div className="difficulty-picker" role="radiogroup" aria-label="Skin pack">
+                {skinPack.skins.map((option) => (
+                  <button key={option.id} role="radio" aria-checked={skinId === option.id} className={`difficulty-option ${skinId === option.id ? "selected" : ""}`} onClick={() => selectSkin(option.id)}>
+                    {option.name}
+                  </button>
+                ))}
+              </div>
+            )}
+
             <div className="game-controls mt-4">
-              {!gameStarted ? (
-                <button onClick={startGame} disabled={!isConnected} className="start-btn">
-                  🚀 Start Game
-                </button>
+              {watching ? (
+                <div className="replay-controls">
+                  <div className="flex gap-3 justify-center">
+                    <button onClick={replayPlayer.togglePlay} className="pause-btn">
+                      {replayPlayer.playing ? "⏸️ Pause" : "▶️ Play"}
+                    </button>
+                    <button onClick={replayPlayer.close} className="quit-btn">
+                      ✖️ Close Replay
+                    </button>
+                  </div>
+                  <input type="range" min="0" max={replayPlayer.duration} step="50" value={replayPlayer.position} onChange={(e) => replayPlayer.seek(Number(e.target.value))} className="replay-scrubber" aria-label="Replay position" />
+                  <p className="text-xs opacity-80">
+                    {formatReplayTime(replayPlayer.position)} / {formatReplayTime(replayPlayer.duration)} • Seed {replayPlayer.replay.seed}
+                  </p>
+                </div>
+              ) : !gameStarted ? (
+                <div className="flex flex-wrap gap-3 justify-center">
+                  <button onClick={() => startGame()} disabled={!isConnected || !skinPack.ready} className="start-btn">
+                    🚀 Start Game
+                  </button>
+                  <button onClick={() => startGame({ practice: true })} disabled={!skinPack.ready} className="pause-btn">
+                    🧪 Practice
+                  </button>
+                  <button onClick={startDailyChallenge} disabled={!skinPack.ready} className="pause-btn">
+                    📅 Daily Challenge
+                  </button>
+                  <button onClick={() => setShowCustomRules(!showCustomRules)} aria-expanded={showCustomRules} className="pause-btn">
+                    {CUSTOM_LABEL}
+                  </button>
+                  <button onClick={() => replayFileRef.current?.click()} className="pause-btn">
+                    📥 Import Replay
+                  </button>
+                  <input ref={replayFileRef} type="file" accept="application/json,.json" onChange={importReplay} hidden />
+                </div>
               ) : (
                 <div className="flex gap-3 justify-center">
-                  <button onClick={gameOver ? startGame : quitGame} className={gameOver ? "start-btn" : "quit-btn"}>
+                  <button onClick={gameOver ? restartGame : quitGame} className={gameOver ? "start-btn" : "quit-btn"}>
                     {gameOver ? "🔄 Restart" : "❌ Quit"}
                   </button>
 
@@ -1365,42 +2139,101 @@ Please send MON to: ${smartAccountAddress}`);
                       {paused ? "▶️ Resume" : "⏸️ Pause"}
                     </button>
                   )}
+
+                  {gameStarted && !gameOver && game.rules.mode === "zen" && (
+                    <button onClick={finishGame} className="start-btn">
+                      🏁 Finish
+                    </button>
+                  )}
                 </div>
               )}
             </div>
 
-            {gameOver && !scoreSaved && (
+            {showCustomRules && !gameStarted && !watching && renderCustomRules()}
+
+            {gameOver && !watching && game.replay.current && (
+              <div className="replay-actions">
+                <button onClick={watchLastReplay} className="transfer-btn-small">🎬 Watch Replay</button>
+                <button onClick={exportReplay} className="transfer-btn-small">📤 Export Replay</button>
+              </div>
+            )}
+
+            {gameOver && practiceMode && (
               <div className="game-over-screen">
-                <h2>Game Over! 🎮</h2>
+                <h2>Practice Over! 🧪</h2>
                 <p>
                   Score: <span>{score}</span>
                 </p>
                 <p>
-                  WMON Earned: <span>{(score * 0.01).toFixed(2)}</span>
+                  Mode: <span>{gameModeLabel(game.rules.mode)}</span> • <span>{difficultyLabel(game.rules.difficulty)}</span>
                 </p>
-
-                <div className="gas-speed-section mb-4">
-                  <button
-                    className="gas-speed-selector"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setShowGasOptions(!showGasOptions);
-                    }}
-                  >
-                    ⚡ Gas: {currentGasOptions.name}
-                    {autoFillEnabled && <span className="auto-fill-indicator">🤖</span>}
+                {renderScoreBreakdown()}
+                {lastAnalytics && renderAnalytics(lastAnalytics, "Game Analytics")}
+                {renderDailyNote()}
+                <p className="practice-note">Practice run • not eligible for on-chain rewards</p>
+                {renderPracticeSubmit()}
+                <div className="actions">
+                  <button onClick={restartGame} className="play-again-btn">
+                    🔄 Practice Again
                   </button>
-                  <p className="text-xs opacity-70 mt-1">
-                    Estimated: {currentGasOptions.estimatedTime}
-                    {autoFillEnabled && " • Auto fill enabled"}
-                  </p>
+                  {isConnected && (
+                    <button onClick={() => startGame()} disabled={!skinPack.ready} className="start-btn">
+                      🚀 Play for Rewards
+                    </button>
+                  )}
                 </div>
+              </div>
+            )}
+
+            {gameOver && !practiceMode && !scoreSaved && (
+              <div className="game-over-screen">
+                <h2>Game Over! 🎮</h2>
+                <p>
+                  Score: <span>{score}</span>
+                </p>
+                <p>
+                  Mode: <span>{gameModeLabel(game.rules.mode)}</span> • <span>{difficultyLabel(game.rules.difficulty)}</span>
+                </p>
+                {renderScoreBreakdown()}
+                {lastAnalytics && renderAnalytics(lastAnalytics, "Game Analytics")}
+                {renderDailyNote()}
+                {renderCustomNote()}
+                {!isRewardEligibleMode(game.rules.mode) && (
+                  <p className="practice-note">{gameModeLabel(game.rules.mode)} runs are warm-ups • they can't be saved on-chain</p>
+                )}
+                {canSaveOnChain && rewardsEnabled && (
+                  <p>
+                    WMON Earned: <span>{(score * 0.01).toFixed(2)}</span>
+                  </p>
+                )}
+
+                {canSaveOnChain && (
+                  <div className="gas-speed-section mb-4">
+                    <button
+                      className="gas-speed-selector"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowGasOptions(!showGasOptions);
+                      }}
+                    >
+                      ⚡ Gas: {currentGasOptions.name}
+                      {autoFillEnabled && <span className="auto-fill-indicator">🤖</span>}
+                    </button>
+                    <p className="text-xs opacity-70 mt-1">
+                      Estimated: {currentGasOptions.estimatedTime}
+                      {autoFillEnabled && " • Auto fill enabled"}
+                      {sponsorship && sponsorGas && " • ⛽ Sponsored when eligible"}
+                    </p>
+                  </div>
+                )}
 
                 <div className="actions">
-                  <button onClick={saveScoreAndAccumulate} disabled={isSavingScore} className="save-btn">
-                    {isSavingScore ? (isAutoFilling ? "🤖 Auto-filling..." : "⏳ Saving...") : "💾 Save Score"}
-                  </button>
-                  <button onClick={startGame} className="play-again-btn">
+                  {canSaveOnChain && (
+                    <button onClick={saveScoreAndAccumulate} disabled={isSavingScore || savePending} className="save-btn">
+                      {isSavingScore ? (isAutoFilling ? "🤖 Auto-filling..." : "⏳ Saving...") : savePending ? "⏳ Save pending..." : "💾 Save Score"}
+                    </button>
+                  )}
+                  <button onClick={restartGame} className="play-again-btn">
                     🔄 Play Again
                   </button>
                 </div>
@@ -1417,21 +2250,24 @@ Please send MON to: ${smartAccountAddress}`);
                       Using Pimlico {currentGasOptions.name}
                       {autoFillEnabled && " • Auto fill ready"}
                     </p>
-                    <button onClick={() => window.open(`https://testnet.monadexplorer.com/tx/${pendingTxHash || lastUserOpHash}`, "_blank")} className="text-xs underline mt-1 text-yellow-300">
-                      View on Explorer
-                    </button>
+                    {explorerTxUrl(network, pendingTxHash || lastUserOpHash) && (
+                      <button onClick={() => window.open(explorerTxUrl(network, pendingTxHash || lastUserOpHash), "_blank")} className="text-xs underline mt-1 text-yellow-300">
+                        View on Explorer
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
             )}
 
-            {gameOver && scoreSaved && (
+            {gameOver && !practiceMode && scoreSaved && (
               <div className="game-over-screen">
                 <h2>Score Saved! ✅</h2>
-                <p>Your score of <span>{score}</span> has been saved!</p>
-                <p>You earned <span>{(score * 0.01).toFixed(2)} WMON</span></p>
+                <p>Your <span>{gameModeLabel(game.rules.mode)}</span> score of <span>{score}</span> on <span>{difficultyLabel(game.rules.difficulty)}</span> has been saved!</p>
+                {rewardsEnabled && <p>You earned <span>{(score * 0.01).toFixed(2)} WMON</span></p>}
+                {renderDailyNote()}
                 <div className="actions">
-                  <button onClick={startGame} className="play-again-btn">🎮 Play Again</button>
+                  <button onClick={restartGame} className="play-again-btn">🎮 Play Again</button>
                 </div>
               </div>
             )}
@@ -1441,9 +2277,20 @@ Please send MON to: ${smartAccountAddress}`);
   };
 
   return (
-    <div className="game-app">
+    <div className={`game-app ${a11y.highContrast ? "high-contrast" : ""} ${reducedMotion ? "reduced-motion" : ""}`}>
       {renderTransferModal()}
       {renderGasSpeedSelector()}
+      <div className="achievement-toast-region" role="status" aria-live="polite">
+        {achievements.toast && (
+          <button className="achievement-toast" onClick={achievements.dismissToast}>
+            <span className="achievement-icon">{achievements.toast.icon}</span>
+            <span>
+              <small>Achievement unlocked</small>
+              <strong>{achievements.toast.name}</strong>
+            </span>
+          </button>
+        )}
+      </div>
 
       <header className="game-header">
         <div className="header-left">
@@ -1461,6 +2308,27 @@ Please send MON to: ${smartAccountAddress}`);
               <button className={`menu-item ${activeTab === "stats" ? "active" : ""}`} onClick={() => { setActiveTab("stats"); setShowMenu(false); }}>
                 📊 My Stats
               </button>
+              <button className={`menu-item ${activeTab === "history" ? "active" : ""}`} onClick={() => { setActiveTab("history"); setShowMenu(false); }}>
+                🧾 History
+              </button>
+
+              <div className="menu-divider"></div>
+
+              <div className="auto-fill-section" role="radiogroup" aria-label="Network">
+                <span className="auto-fill-label">🌐 Network</span>
+                {NETWORKS.map((option) => (
+                  <button
+                    key={option.id}
+                    role="radio"
+                    aria-checked={option.id === network.id}
+                    className={`menu-item network-option ${option.id === network.id ? "active" : ""}`}
+                    onClick={() => changeNetwork(option.id)}
+                    disabled={networks.switching}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
 
               <div className="menu-divider"></div>
 
@@ -1474,6 +2342,58 @@ Please send MON to: ${smartAccountAddress}`);
                 </div>
                 <p className="auto-fill-description">Auto Fill Smart Acc if balance is low</p>
                 {isAutoFilling && <div className="auto-fill-status">⚡ Auto-filling gas...</div>}
+                {sponsorship && (
+                  <>
+                    <div className="auto-fill-header">
+                      <span className="auto-fill-label">⛽ Sponsored Gas</span>
+                      <label className="toggle-switch">
+                        <input type="checkbox" checked={sponsorGas} onChange={(e) => setSponsorGas(e.target.checked)} aria-label="Sponsored gas" />
+                        <span className="toggle-slider"></span>
+                      </label>
+                    </div>
+                    <p className="auto-fill-description">Paymaster pays for score saves and claims when eligible</p>
+                  </>
+                )}
+              </div>
+
+              <div className="menu-divider"></div>
+
+              <div className="auto-fill-section">
+                <div className="auto-fill-header">
+                  <span className="auto-fill-label">🔊 Sound</span>
+                  <label className="toggle-switch">
+                    <input type="checkbox" checked={!audio.settings.muted} onChange={(e) => audio.updateSettings({ muted: !e.target.checked })} aria-label="Sound" />
+                    <span className="toggle-slider"></span>
+                  </label>
+                </div>
+                <input type="range" min="0" max="1" step="0.05" value={audio.settings.volume} onChange={(e) => audio.updateSettings({ volume: Number(e.target.value) })} disabled={audio.settings.muted} className="volume-slider" aria-label="Volume" />
+                <div className="auto-fill-header">
+                  <span className="auto-fill-label">🎵 Music</span>
+                  <label className="toggle-switch">
+                    <input type="checkbox" checked={audio.settings.music} onChange={(e) => audio.updateSettings({ music: e.target.checked })} aria-label="Music" />
+                    <span className="toggle-slider"></span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="menu-divider"></div>
+
+              <div className="auto-fill-section">
+                <div className="auto-fill-header">
+                  <span className="auto-fill-label">🌓 High Contrast</span>
+                  <label className="toggle-switch">
+                    <input type="checkbox" checked={a11y.highContrast} onChange={(e) => updateA11y({ highContrast: e.target.checked })} aria-label="High contrast" />
+                    <span className="toggle-slider"></span>
+                  </label>
+                </div>
+                <div className="auto-fill-header">
+                  <span className="auto-fill-label">🐢 Reduce Motion</span>
+                  <label className="toggle-switch">
+                    <input type="checkbox" checked={reducedMotion} onChange={(e) => updateA11y({ reducedMotion: e.target.checked })} aria-label="Reduce motion" />
+                    <span className="toggle-slider"></span>
+                  </label>
+                </div>
+                <p className="auto-fill-description">Keyboard: focus the game, then 1–9 or arrows + Space</p>
               </div>
 
               <div className="menu-divider"></div>
@@ -1524,7 +2444,7 @@ Please send MON to: ${smartAccountAddress}`);
 
         <div className="header-right">
           {!gameStarted ? (
-            <button onClick={startGame} disabled={!isConnected} className="start-btn header-start-btn">🚀 Start Game</button>
+            <button onClick={() => startGame()} disabled={!isConnected || !skinPack.ready} className="start-btn header-start-btn">🚀 Start Game</button>
           ) : (
             <button onClick={quitGame} className="quit-btn header-quit-btn">❌ Quit</button>
           )}
@@ -1548,10 +2468,21 @@ Please send MON to: ${smartAccountAddress}`);
         </div>
       </header>
 
+      {networks.wrongChain && (
+        <div className="network-warning" role="alert">
+          <span>
+            Your wallet is on {networks.walletNetwork?.label ?? `chain ${chainId}`}, but Ego Bust is set to {network.label}.
+          </span>
+          <button onClick={() => networks.switchWallet()} disabled={networks.switching} className="network-switch-btn">
+            {networks.switching ? "Switching..." : `Switch to ${network.label}`}
+          </button>
+        </div>
+      )}
+
       <main className="game-main">{renderContent()}</main>
 
       <footer className="game-footer">
-        <p>Play to Earn on Monad Testnet</p>
+        <p>Play to Earn on {network.label}</p>
         {smartAccountAddress && (
           <p style={{ color: "#fbbf24", fontSize: "0.7rem", marginTop: "0.5rem" }}>
             Smart Account: {smartAccountAddress} {autoFillEnabled && "• Auto fill enabled"}
@@ -1568,6 +2499,11 @@ Please send MON to: ${smartAccountAddress}`);
             Last UserOp: {lastUserOpHash.slice(0, 10)}... (check explorer)
           </p>
         )}
+        {userOps.pending.length > 0 && (
+          <p style={{ color: "#F59E0B", fontSize: "0.7rem", marginTop: "0.5rem" }}>
+            ⏳ {userOps.pending.length} pending operation{userOps.pending.length === 1 ? "" : "s"} being tracked
+          </p>
+        )}
       </footer>
     </div>
   );
@@ -0,0 +1,46 @@
+// Keyboard Grid
+// For keyboard play the field is split into a GRID_SIZE x GRID_SIZE grid.
+// Number keys 1-9 pick a cell in reading order (1 is top-left); arrow keys
+// move the cursor and Space/Enter busts in the cursor's cell.
+export const GRID_SIZE = 3;
+
+export const cellForKey = (key) => {
+  const n = Number(key);
+  return Number.isInteger(n) && n >= 1 && n <= GRID_SIZE * GRID_SIZE ? n - 1 : null;
+};
+
+const ARROWS = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+};
+
+export const isArrowKey = (key) => key in ARROWS;
+
+export const moveCell = (cell, key) => {
+  const [dx, dy] = ARROWS[key] ?? [0, 0];
+  const col = Math.min(GRID_SIZE - 1, Math.max(0, (cell % GRID_SIZE) + dx));
+  const row = Math.min(GRID_SIZE - 1, Math.max(0, Math.floor(cell / GRID_SIZE) + dy));
+  return row * GRID_SIZE + col;
+};
+
+// Bounds of a cell, in field units
+export const cellBounds = (rules, cell) => {
+  const width = rules.fieldWidth / GRID_SIZE;
+  const height = rules.fieldHeight / GRID_SIZE;
+  return { x: (cell % GRID_SIZE) * width, y: Math.floor(cell / GRID_SIZE) * height, width, height };
+};
+
+// Where a keyboard bust in `cell` clicks: the centre of the top-most object
+// centred in the cell, or the cell's centre (a miss) when it's empty
+export const clickPointForCell = (objects, rules, cell) => {
+  const bounds = cellBounds(rules, cell);
+  const half = rules.objectSize / 2;
+  const inCell = (obj) =>
+    obj.x + half >= bounds.x && obj.x + half < bounds.x + bounds.width && obj.y + half >= bounds.y && obj.y + half < bounds.y + bounds.height;
+  const target = [...objects].reverse().find(inCell);
+  return target
+    ? { x: target.x + half, y: target.y + half }
+    : { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+};
@@ -0,0 +1,41 @@
+import { useEffect, useRef, useState } from "react";
+
+// Announce the time every this many seconds, and every second near the end
+const ANNOUNCE_EVERY_SECONDS = 10;
+const FINAL_SECONDS = 5;
+
+const describe = (snapshot) => {
+  const parts = [`Score ${snapshot.score}`];
+  if (snapshot.lives !== null) parts.push(`${snapshot.lives} ${snapshot.lives === 1 ? "life" : "lives"} left`);
+  if (snapshot.timeLeft !== null) parts.push(`${Math.ceil(snapshot.timeLeft / 1000)} seconds left`);
+  return parts.join(", ");
+};
+
+// Text for an aria-live region: score and time at a pace a screen reader
+// can keep up with, lives as they are lost, and the final result.
+export const useGameAnnouncer = (snapshot, inGame) => {
+  const [message, setMessage] = useState("");
+  const lastRef = useRef({ seconds: null, lives: null, over: false });
+
+  const seconds = Math.floor((snapshot.timeLeft ?? snapshot.time) / 1000);
+  const secondsLeft = snapshot.timeLeft === null ? null : Math.ceil(snapshot.timeLeft / 1000);
+
+  useEffect(() => {
+    const last = lastRef.current;
+    if (!inGame) {
+      lastRef.current = { seconds: null, lives: null, over: snapshot.over };
+      return;
+    }
+    if (snapshot.over) {
+      if (!last.over) setMessage(`Game over. Final score ${snapshot.score}.`);
+    } else if (snapshot.lives !== last.lives && last.lives !== null) {
+      setMessage(describe(snapshot));
+    } else if (seconds !== last.seconds) {
+      const due = secondsLeft !== null && secondsLeft <= FINAL_SECONDS ? secondsLeft > 0 : seconds % ANNOUNCE_EVERY_SECONDS === 0;
+      if (due) setMessage(describe(snapshot));
+    }
+    lastRef.current = { seconds, lives: snapshot.lives, over: snapshot.over };
+  }, [inGame, snapshot, seconds, secondsLeft]);
+
+  return message;
+};
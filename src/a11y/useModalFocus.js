@@ -0,0 +1,59 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const focusablesIn = (node) => (node ? [...node.querySelectorAll(FOCUSABLE)] : []);
+
+// Keeps keyboard focus inside a modal while it is open and closes it on
+// Escape. Focus goes back to whatever had it before the modal opened.
+// Returns the ref for the modal's container.
+export const useModalFocus = (open, onClose) => {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    if (!open) return;
+    const previous = document.activeElement;
+    focusablesIn(ref.current)[0]?.focus();
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+
+      const items = focusablesIn(ref.current);
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    // Pull focus back if it lands outside the modal (e.g. by clicking the page)
+    const onFocusIn = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) focusablesIn(ref.current)[0]?.focus();
+    };
+
+    document.addEventListener("keydown", onKeyDown);
+    document.addEventListener("focusin", onFocusIn);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("focusin", onFocusIn);
+      previous?.focus?.();
+    };
+  }, [open]);
+
+  return ref;
+};
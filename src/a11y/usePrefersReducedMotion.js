@@ -0,0 +1,18 @@
+import { useEffect, useState } from "react";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+// The system's reduced-motion preference, kept up to date if it changes
+export const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(() => window.matchMedia?.(QUERY).matches ?? false);
+
+  useEffect(() => {
+    const media = window.matchMedia?.(QUERY);
+    if (!media) return;
+    const onChange = (e) => setReduced(e.matches);
+    media.addEventListener("change", onChange);
+    return () => media.removeEventListener("change", onChange);
+  }, []);
+
+  return reduced;
+};
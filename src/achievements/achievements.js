@@ -0,0 +1,50 @@
+// Achievements
+// Definitions live in public/achievements.json, so new ones need no code change:
+//   id           stable key unlocks are stored under
+//   name, icon, description   shown on the toast and badge
+//   requires     { metric: minimum }, every metric must reach its minimum
+//   match        { metric: value }, optional, every metric must equal its value
+// They are checked against the metrics of each event (see useAchievements):
+//   game over    score, hits, misses, expired, bombs, maxCombo, accuracy (0..1),
+//                duration, mode, difficulty, gamesPlayed
+//   on-chain     totalGames, totalScore, totalClaimed, scoresSaved, claims
+export const ACHIEVEMENTS_URL = "/achievements.json";
+
+const parseAchievement = (data) => {
+  if (typeof data?.id !== "string" || !data.requires || typeof data.requires !== "object") {
+    throw new Error(`Invalid achievement ${JSON.stringify(data?.id ?? data)}`);
+  }
+  return {
+    id: data.id,
+    name: typeof data.name === "string" ? data.name : data.id,
+    icon: typeof data.icon === "string" ? data.icon : "🏆",
+    description: typeof data.description === "string" ? data.description : "",
+    requires: data.requires,
+    match: data.match && typeof data.match === "object" ? data.match : {},
+  };
+};
+
+// Definitions that fail to parse are left out rather than hiding the rest
+export const loadAchievements = async () => {
+  const res = await fetch(ACHIEVEMENTS_URL);
+  if (!res.ok) throw new Error(`Failed to load ${ACHIEVEMENTS_URL} (${res.status})`);
+  const data = await res.json();
+  if (data.version !== 1) throw new Error(`Unsupported achievements version ${data.version}`);
+  return (data.achievements || []).flatMap((entry) => {
+    try {
+      return [parseAchievement(entry)];
+    } catch (err) {
+      console.warn("Skipping achievement:", err);
+      return [];
+    }
+  });
+};
+
+// A metric the event doesn't report never satisfies a condition
+const meetsRequirements = (achievement, metrics) =>
+  Object.entries(achievement.requires).every(([metric, min]) => Number.isFinite(metrics[metric]) && metrics[metric] >= min) &&
+  Object.entries(achievement.match).every(([metric, value]) => metrics[metric] === value);
+
+// The achievements `metrics` unlocks that aren't in `unlocked` yet
+export const evaluateAchievements = (definitions, unlocked, metrics) =>
+  definitions.filter((achievement) => !unlocked[achievement.id] && meetsRequirements(achievement, metrics));
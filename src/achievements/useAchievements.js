@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from "react";
+import { evaluateAchievements, loadAchievements } from "./achievements.js";
+import { loadAchievementProgress, saveAchievementProgress } from "../storage/achievements.js";
+
+// How long an unlock toast stays up
+const TOAST_MS = 4000;
+
+// Bump the account's `counters`, then unlock whatever the event's metrics
+// (counters included) now satisfy
+const applyEvent = (account, definitions, { counters = [], metrics = {} }) => {
+  const progress = loadAchievementProgress(account);
+  const counts = { ...progress.counters };
+  counters.forEach((name) => {
+    counts[name] = (counts[name] ?? 0) + 1;
+  });
+  const unlocked = evaluateAchievements(definitions, progress.unlocked, { ...counts, ...metrics });
+  const at = Date.now();
+  const next = { counters: counts, unlocked: { ...progress.unlocked, ...Object.fromEntries(unlocked.map((a) => [a.id, at])) } };
+  saveAchievementProgress(account, next);
+  return { progress: next, unlocked };
+};
+
+// Achievements of `account` (the smart account, or null for a guest).
+// `track` is called at game over and after on-chain events; unlocks queue up
+// as `toasts`, shown one at a time.
+export const useAchievements = (account) => {
+  const [definitions, setDefinitions] = useState([]);
+  const [progress, setProgress] = useState(() => loadAchievementProgress(account));
+  const [toasts, setToasts] = useState([]);
+  const accountRef = useRef(account);
+  const definitionsRef = useRef(definitions);
+  accountRef.current = account;
+  definitionsRef.current = definitions;
+
+  useEffect(() => {
+    loadAchievements()
+      .then(setDefinitions)
+      .catch((err) => console.warn("Failed to load achievements:", err));
+  }, []);
+
+  // Switching accounts shows theirs; counters earned before the definitions
+  // arrived (or before a definition was added) are caught up here
+  useEffect(() => {
+    const { progress: next, unlocked } = applyEvent(account, definitions, {});
+    setProgress(next);
+    if (unlocked.length > 0) setToasts((prev) => [...prev, ...unlocked]);
+  }, [account, definitions]);
+
+  useEffect(() => {
+    if (toasts.length === 0) return;
+    const timeout = setTimeout(() => setToasts((prev) => prev.slice(1)), TOAST_MS);
+    return () => clearTimeout(timeout);
+  }, [toasts]);
+
+  // `counters` names the account's counters the event bumps (e.g. "gamesPlayed"),
+  // `metrics` are the event's own values (see achievements.js). `account`
+  // defaults to the current one; it differs while a new smart account is
+  // still being set up.
+  const track = ({ account: target = accountRef.current, counters = [], metrics = {} } = {}) => {
+    const { progress: next, unlocked } = applyEvent(target, definitionsRef.current, { counters, metrics });
+    if ((target ?? "").toLowerCase() === (accountRef.current ?? "").toLowerCase()) setProgress(next);
+    if (unlocked.length > 0) {
+      console.log("🏆 Achievement unlocked:", unlocked.map((a) => a.name).join(", "));
+      setToasts((prev) => [...prev, ...unlocked]);
+    }
+    return unlocked;
+  };
+
+  const dismissToast = () => setToasts((prev) => prev.slice(1));
+
+  return { definitions, unlocked: progress.unlocked, counters: progress.counters, toast: toasts[0] ?? null, track, dismissToast };
+};
@@ -0,0 +1,35 @@
+// Client for the score verification service in server/
+export const SCORE_VERIFIER_URL = import.meta.env.VITE_SCORE_VERIFIER_URL || "";
+
+export const isScoreVerifierEnabled = () => Boolean(SCORE_VERIFIER_URL);
+
+// Failures are thrown with reason "verification" (see classifyUserOpError in
+// userOps/userOpService.js) and the service's HTTP status, or a null status
+// when it couldn't be reached
+const request = async (path, options) => {
+  let res;
+  try {
+    res = await fetch(`${SCORE_VERIFIER_URL}${path}`, options);
+  } catch (err) {
+    throw Object.assign(new Error(`Score verifier is unreachable: ${err.message}`), { reason: "verification", status: null });
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw Object.assign(new Error(data.error || `Score verifier responded with ${res.status}`), { reason: "verification", status: res.status });
+  }
+  return data;
+};
+
+const post = (path, body) =>
+  request(path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+// Ask for the seed and rules of a new verifiable game; `daily` asks for
+// today's daily challenge instead
+export const requestGameSession = (player, { difficulty, mode, imageCount, daily = false }) =>
+  post("/session", { player, difficulty, mode, imageCount, daily });
+
+// Send the finished game for re-simulation; resolves to { voucher, signature }
+export const requestScoreVoucher = ({ sessionId, player, replay }) => post("/verify", { sessionId, player, replay });
+
+// Best verified run of `player` as a serialized replay: { player, score, replay }
+export const fetchBestReplay = (player) => request(`/replay?player=${encodeURIComponent(player)}`);
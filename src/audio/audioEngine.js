@@ -0,0 +1,140 @@
+import { playSynthMusicBar, SYNTH_SOUNDS } from "./synth.js";
+
+// How far ahead the synthesised music is scheduled, in seconds
+const MUSIC_LOOKAHEAD = 0.5;
+const MUSIC_TIMER_MS = 200;
+const MUSIC_VOLUME = 0.5;
+
+// Web Audio playback for the game. Sounds are looked up by name (object types,
+// "miss", "combo", "tick", "gameOver", "scoreSaved" and "music"); a skin pack
+// can replace any of them with a file, the rest are synthesised.
+// The AudioContext is only created by `unlock`, which must run in a user gesture.
+export const createAudioEngine = () => {
+  let ctx = null;
+  let master = null;
+  let sfxBus = null;
+  let musicBus = null;
+  let settings = { volume: 1, muted: false, music: false };
+  let sounds = {};
+  const buffers = new Map();
+  let music = null;
+
+  const loadBuffer = (url) => {
+    if (!buffers.has(url)) {
+      buffers.set(
+        url,
+        fetch(url)
+          .then((res) => {
+            if (!res.ok) throw new Error(`${res.status}`);
+            return res.arrayBuffer();
+          })
+          .then((data) => ctx.decodeAudioData(data))
+          .catch((err) => {
+            console.warn(`Failed to load sound ${url}, using the built-in one:`, err);
+            return null;
+          })
+      );
+    }
+    return buffers.get(url);
+  };
+
+  const preload = () => {
+    if (!ctx) return;
+    Object.values(sounds).forEach((url) => url && loadBuffer(url));
+  };
+
+  const applySettings = () => {
+    if (!ctx) return;
+    master.gain.setValueAtTime(settings.muted ? 0 : settings.volume, ctx.currentTime);
+  };
+
+  const playBuffer = (buffer, out, { loop = false } = {}) => {
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+    source.connect(out);
+    source.start();
+    return source;
+  };
+
+  const play = async (name, ...args) => {
+    if (!ctx || settings.muted) return;
+    const buffer = sounds[name] ? await loadBuffer(sounds[name]) : null;
+    if (buffer) {
+      playBuffer(buffer, sfxBus);
+    } else {
+      SYNTH_SOUNDS[name]?.(ctx, sfxBus, ctx.currentTime, ...args);
+    }
+  };
+
+  const stopMusic = () => {
+    if (!music) return;
+    music.stop();
+    music = null;
+  };
+
+  const startMusic = async () => {
+    if (!ctx || music || !settings.music) return;
+    const handle = { stopped: false, stop: () => (handle.stopped = true) };
+    music = handle;
+
+    const buffer = sounds.music ? await loadBuffer(sounds.music) : null;
+    if (handle.stopped) return;
+    if (buffer) {
+      const source = playBuffer(buffer, musicBus, { loop: true });
+      handle.stop = () => {
+        handle.stopped = true;
+        source.stop();
+      };
+      return;
+    }
+
+    // Schedule synthesised bars just ahead of the context's clock, which
+    // stands still while the context is suspended
+    let nextBarAt = ctx.currentTime + 0.05;
+    const timer = setInterval(() => {
+      while (nextBarAt < ctx.currentTime + MUSIC_LOOKAHEAD) {
+        nextBarAt += playSynthMusicBar(ctx, musicBus, nextBarAt);
+      }
+    }, MUSIC_TIMER_MS);
+    handle.stop = () => {
+      handle.stopped = true;
+      clearInterval(timer);
+    };
+  };
+
+  return {
+    unlock() {
+      if (!ctx) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        ctx = new AudioContext();
+        master = ctx.createGain();
+        sfxBus = ctx.createGain();
+        musicBus = ctx.createGain();
+        musicBus.gain.value = MUSIC_VOLUME;
+        sfxBus.connect(master);
+        musicBus.connect(master);
+        master.connect(ctx.destination);
+        applySettings();
+        preload();
+      }
+      if (ctx.state === "suspended") ctx.resume();
+    },
+    setSettings(next) {
+      settings = next;
+      applySettings();
+      if (!settings.music) stopMusic();
+    },
+    setSounds(next = {}) {
+      sounds = next;
+      preload();
+    },
+    play,
+    startMusic,
+    stopMusic,
+    // Suspending the context freezes everything in flight, music included
+    pause: () => ctx?.suspend(),
+    resume: () => ctx?.resume(),
+  };
+};
@@ -0,0 +1,62 @@
+// Built-in sounds, synthesised so the game needs no audio files.
+// Each takes the AudioContext, the node to play into and a start time.
+
+const tone = (ctx, out, at, { type = "sine", from, to = from, duration, gain = 0.4 }) => {
+  const osc = ctx.createOscillator();
+  const env = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(from, at);
+  if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, at + duration);
+  env.gain.setValueAtTime(gain, at);
+  env.gain.exponentialRampToValueAtTime(0.001, at + duration);
+  osc.connect(env).connect(out);
+  osc.start(at);
+  osc.stop(at + duration);
+};
+
+const noise = (ctx, out, at, { duration, gain = 0.5, cutoff = 1200 }) => {
+  const buffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * duration), ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * (1 - i / data.length);
+  const source = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const env = ctx.createGain();
+  source.buffer = buffer;
+  filter.type = "lowpass";
+  filter.frequency.value = cutoff;
+  env.gain.value = gain;
+  source.connect(filter).connect(env).connect(out);
+  source.start(at);
+};
+
+// Notes one after the other, `step` seconds apart
+const arpeggio = (ctx, out, at, notes, { step = 0.09, type = "triangle", gain = 0.3, duration = 0.18 } = {}) =>
+  notes.forEach((frequency, i) => tone(ctx, out, at + i * step, { type, from: frequency, duration, gain }));
+
+export const SYNTH_SOUNDS = {
+  ego: (ctx, out, at) => tone(ctx, out, at, { from: 620, to: 180, duration: 0.09 }),
+  golden: (ctx, out, at) => arpeggio(ctx, out, at, [1046, 1318, 1568], { step: 0.05 }),
+  bomb: (ctx, out, at) => {
+    noise(ctx, out, at, { duration: 0.45, gain: 0.7, cutoff: 900 });
+    tone(ctx, out, at, { from: 140, to: 40, duration: 0.4, gain: 0.5 });
+  },
+  clock: (ctx, out, at) => tone(ctx, out, at, { type: "square", from: 520, to: 1040, duration: 0.12, gain: 0.15 }),
+  freeze: (ctx, out, at) => tone(ctx, out, at, { type: "triangle", from: 1800, to: 900, duration: 0.3, gain: 0.25 }),
+  miss: (ctx, out, at) => tone(ctx, out, at, { from: 160, to: 90, duration: 0.08, gain: 0.25 }),
+  combo: (ctx, out, at, level = 1) => arpeggio(ctx, out, at, [523, 659, 784].map((f) => f * 2 ** ((level - 1) / 12))),
+  tick: (ctx, out, at) => tone(ctx, out, at, { type: "square", from: 1000, duration: 0.04, gain: 0.12 }),
+  gameOver: (ctx, out, at) => arpeggio(ctx, out, at, [659, 523, 440, 330], { step: 0.16, duration: 0.3 }),
+  scoreSaved: (ctx, out, at) => arpeggio(ctx, out, at, [523, 659, 784, 1046], { step: 0.1, duration: 0.3 }),
+};
+
+// A quiet pentatonic loop for when a skin ships no music of its own
+const MUSIC_NOTES = [220, 262, 294, 330, 392, 330, 294, 262];
+const MUSIC_STEP = 0.3;
+
+export const playSynthMusicBar = (ctx, out, at) => {
+  MUSIC_NOTES.forEach((frequency, i) => {
+    tone(ctx, out, at + i * MUSIC_STEP, { type: "triangle", from: frequency, duration: MUSIC_STEP * 0.9, gain: 0.12 });
+    if (i % 4 === 0) tone(ctx, out, at + i * MUSIC_STEP, { from: frequency / 2, duration: MUSIC_STEP * 3.5, gain: 0.1 });
+  });
+  return MUSIC_NOTES.length * MUSIC_STEP;
+};
@@ -0,0 +1,69 @@
+import { useEffect, useRef, useState } from "react";
+import { loadAudioSettings, saveAudioSettings } from "../storage/audioSettings.js";
+import { createAudioEngine } from "./audioEngine.js";
+
+// Seconds left in a timed game at which the countdown starts ticking
+const COUNTDOWN_SECONDS = 5;
+// A combo cue plays every this many hits in a row
+const COMBO_CUE_EVERY = 5;
+
+// React binding for the audio engine. Plays the countdown, game-over jingle
+// and music from the HUD `snapshot`; `onGameEvent` is handed to the engine
+// for pops, misses and combo cues. `inGame` is true while a live (not
+// replayed) game is on screen.
+export const useGameAudio = ({ sounds, snapshot, inGame, paused }) => {
+  const audioRef = useRef(null);
+  if (!audioRef.current) audioRef.current = createAudioEngine();
+  const audio = audioRef.current;
+  const [settings, setSettings] = useState(loadAudioSettings);
+
+  useEffect(() => audio.setSettings(settings), [audio, settings]);
+  useEffect(() => audio.setSounds(sounds), [audio, sounds]);
+
+  useEffect(() => {
+    if (!inGame) return;
+    if (paused) {
+      audio.pause();
+    } else {
+      audio.resume();
+    }
+  }, [audio, inGame, paused]);
+
+  const playing = inGame && !snapshot.over;
+  useEffect(() => {
+    if (!playing || !settings.music) return;
+    audio.startMusic();
+    return () => audio.stopMusic();
+  }, [audio, playing, settings.music]);
+
+  // Cues fire on changes only, not again when pausing or closing a replay
+  const lastTickRef = useRef(null);
+  const secondsLeft = snapshot.timeLeft === null ? null : Math.ceil(snapshot.timeLeft / 1000);
+  useEffect(() => {
+    if (secondsLeft === lastTickRef.current) return;
+    lastTickRef.current = secondsLeft;
+    if (playing && secondsLeft > 0 && secondsLeft <= COUNTDOWN_SECONDS) audio.play("tick");
+  }, [audio, playing, secondsLeft]);
+
+  const wasOverRef = useRef(snapshot.over);
+  useEffect(() => {
+    if (snapshot.over && !wasOverRef.current && inGame) audio.play("gameOver");
+    wasOverRef.current = snapshot.over;
+  }, [audio, inGame, snapshot.over]);
+
+  const onGameEvent = (event) => {
+    if (event.type === "bust") {
+      audio.play(event.object.type);
+      if (event.combo > 0 && event.combo % COMBO_CUE_EVERY === 0) audio.play("combo", event.combo / COMBO_CUE_EVERY);
+    } else if (event.type === "miss") {
+      audio.play("miss");
+    }
+  };
+
+  const updateSettings = (patch) => {
+    audio.unlock();
+    setSettings((prev) => saveAudioSettings({ ...prev, ...patch }));
+  };
+
+  return { settings, updateSettings, onGameEvent, play: audio.play, unlock: audio.unlock };
+};
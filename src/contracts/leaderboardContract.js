@@ -0,0 +1,149 @@
+import { encodeFunctionData, zeroAddress } from "viem";
+import REWARDS_ABI from "../abi/EgoBustRewards.json";
+import VERIFIED_REWARDS_ABI from "../abi/EgoBustVerifiedRewards.json";
+import LEADERBOARD_ABI from "../abi/EgoBustLeaderboard.json";
+import { hasVoucherFunction } from "./scoreVoucher.js";
+
+// Leaderboard Contracts
+// Two contract versions are deployed in the wild:
+//   rewards      addScore, claimRewards, getPlayerStats and a four-field
+//                getLeaderboard (src/abi/EgoBustRewards.json); a deployment
+//                that checks score vouchers adds addScoreWithVoucher
+//                (src/abi/EgoBustVerifiedRewards.json, built from
+//                contracts/ScoreVoucherVerifier.sol)
+//   leaderboard  saveScore, scores and a two-field getLeaderboard
+//                (src/abi/EgoBustLeaderboard.json); no rewards, no vouchers
+// The adapter detects which one lives at an address and puts one API over both.
+
+/**
+ * @typedef {"rewards" | "leaderboard"} ContractKind
+ *
+ * @typedef {object} PlayerStats
+ * @property {number} totalScore
+ * @property {number|null} totalGames     null when the contract doesn't count games
+ * @property {number} pendingRewards      WMON
+ * @property {number} totalClaimed        WMON
+ *
+ * @typedef {object} LeaderboardEntry
+ * @property {`0x${string}`} wallet
+ * @property {number} score
+ * @property {number|null} gamesPlayed    null when the contract doesn't count games
+ * @property {number|null} totalEarned    WMON, null when the contract has no rewards
+ *
+ * @typedef {object} ContractCall         one call of a user operation
+ * @property {`0x${string}`} to
+ * @property {`0x${string}`} data
+ *
+ * @typedef {object} LeaderboardContract
+ * @property {ContractKind} kind
+ * @property {`0x${string}`} address
+ * @property {{ rewards: boolean, vouchers: boolean }} capabilities
+ * @property {(player: `0x${string}`) => Promise<PlayerStats>} readStats
+ * @property {() => Promise<LeaderboardEntry[]>} readLeaderboard   best score first
+ * @property {(score: { score: number|bigint, voucher?: object, signature?: `0x${string}` }) => ContractCall} submitScoreCall
+ * @property {() => ContractCall} claimCall
+ */
+
+const WEI_PER_TOKEN = 1e18;
+
+const byScore = (a, b) => b.score - a.score;
+
+const createRewardsContract = (publicClient, address, { vouchers }) => {
+  const read = (functionName, args = []) => publicClient.readContract({ address, abi: REWARDS_ABI, functionName, args });
+  return {
+    kind: "rewards",
+    address,
+    capabilities: { rewards: true, vouchers },
+    async readStats(player) {
+      const [totalScore, totalGames, pendingRewards, totalClaimed] = await read("getPlayerStats", [player]);
+      return {
+        totalScore: Number(totalScore),
+        totalGames: Number(totalGames),
+        pendingRewards: Number(pendingRewards) / WEI_PER_TOKEN,
+        totalClaimed: Number(totalClaimed) / WEI_PER_TOKEN,
+      };
+    },
+    async readLeaderboard() {
+      const entries = await read("getLeaderboard");
+      return entries
+        .map((entry) => ({
+          wallet: entry.wallet,
+          score: Number(entry.score),
+          gamesPlayed: Number(entry.gamesPlayed),
+          totalEarned: Number(entry.totalEarned) / WEI_PER_TOKEN,
+        }))
+        .sort(byScore);
+    },
+    // With a voucher from the score verifier the contract checks its
+    // signature; without one the score goes to addScore unchecked
+    submitScoreCall({ score, voucher, signature }) {
+      if (!voucher) {
+        return { to: address, data: encodeFunctionData({ abi: REWARDS_ABI, functionName: "addScore", args: [BigInt(score)] }) };
+      }
+      if (!vouchers) throw new Error("This reward contract doesn't accept score vouchers");
+      const data = encodeFunctionData({
+        abi: VERIFIED_REWARDS_ABI,
+        functionName: "addScoreWithVoucher",
+        args: [{ ...voucher, score: BigInt(voucher.score), deadline: BigInt(voucher.deadline) }, signature],
+      });
+      return { to: address, data };
+    },
+    claimCall() {
+      return { to: address, data: encodeFunctionData({ abi: REWARDS_ABI, functionName: "claimRewards", args: [] }) };
+    },
+  };
+};
+
+const createScoreOnlyContract = (publicClient, address) => {
+  const read = (functionName, args = []) => publicClient.readContract({ address, abi: LEADERBOARD_ABI, functionName, args });
+  return {
+    kind: "leaderboard",
+    address,
+    capabilities: { rewards: false, vouchers: false },
+    async readStats(player) {
+      return { totalScore: Number(await read("scores", [player])), totalGames: null, pendingRewards: 0, totalClaimed: 0 };
+    },
+    async readLeaderboard() {
+      const entries = await read("getLeaderboard");
+      return entries.map((entry) => ({ wallet: entry.wallet, score: Number(entry.score), gamesPlayed: null, totalEarned: null })).sort(byScore);
+    },
+    submitScoreCall({ score, voucher }) {
+      if (voucher) throw new Error("This leaderboard contract doesn't accept score vouchers");
+      return { to: address, data: encodeFunctionData({ abi: LEADERBOARD_ABI, functionName: "saveScore", args: [BigInt(score)] }) };
+    },
+    claimCall() {
+      throw new Error("This leaderboard contract has no rewards to claim");
+    },
+  };
+};
+
+// Probe the views only one version has: getPlayerStats, then scores. Voucher
+// support is read from the deployed code.
+const detectContract = async (publicClient, address) => {
+  const code = await publicClient.getCode({ address });
+  if (!code || code === "0x") throw new Error(`No contract is deployed at ${address}`);
+  const supports = (abi, functionName) =>
+    publicClient.readContract({ address, abi, functionName, args: [zeroAddress] }).then(() => true, () => false);
+  if (await supports(REWARDS_ABI, "getPlayerStats")) return { kind: "rewards", vouchers: hasVoucherFunction(code) };
+  if (await supports(LEADERBOARD_ABI, "scores")) return { kind: "leaderboard", vouchers: false };
+  throw new Error(`The contract at ${address} is not a supported leaderboard`);
+};
+
+// Detection runs once per client and address; later calls share the result
+const adapters = new WeakMap();
+
+/** @returns {Promise<LeaderboardContract>} */
+export const getLeaderboardContract = (publicClient, address) => {
+  if (!adapters.has(publicClient)) adapters.set(publicClient, new Map());
+  const cache = adapters.get(publicClient);
+  if (!cache.has(address)) {
+    const adapter = detectContract(publicClient, address).then(({ kind, vouchers }) => {
+      console.log(`📜 ${address} is a ${kind} contract${vouchers ? " with score vouchers" : ""}`);
+      return kind === "rewards" ? createRewardsContract(publicClient, address, { vouchers }) : createScoreOnlyContract(publicClient, address);
+    });
+    // A failed detection (e.g. a flaky RPC) is retried next time
+    adapter.catch(() => cache.delete(address));
+    cache.set(address, adapter);
+  }
+  return cache.get(address);
+};
@@ -0,0 +1,42 @@
+import { toFunctionSelector } from "viem";
+
+// Score Vouchers
+// The score verifier (server/) signs one for each score it re-simulates. Only
+// a reward contract that checks them exposes addScoreWithVoucher; the
+// baseline contract has nothing but addScore. contracts/ScoreVoucherVerifier.sol
+// makes those checks, and src/abi/EgoBustVerifiedRewards.json is the ABI of a
+// reward contract built on it.
+
+// EIP-712 type of a voucher, shared by the verifier that signs it and the
+// client that submits it
+export const SCORE_VOUCHER_TYPES = {
+  ScoreVoucher: [
+    { name: "player", type: "address" },
+    { name: "score", type: "uint256" },
+    { name: "difficulty", type: "string" },
+    { name: "mode", type: "string" },
+    { name: "nonce", type: "bytes32" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export const SCORE_VOUCHER_ABI = [
+  {
+    type: "function",
+    name: "addScoreWithVoucher",
+    inputs: [
+      { name: "voucher", type: "tuple", components: SCORE_VOUCHER_TYPES.ScoreVoucher },
+      { name: "signature", type: "bytes" },
+    ],
+    outputs: [],
+    stateMutability: "nonpayable",
+  },
+];
+
+const VOUCHER_SELECTOR = toFunctionSelector(SCORE_VOUCHER_ABI[0]).slice(2);
+
+// Solidity's dispatcher compares calldata against every selector as a PUSH4
+// constant, so the selector shows up in the runtime code of a contract that
+// has the function. A contract behind a proxy would need its implementation's
+// code checked instead.
+export const hasVoucherFunction = (code) => Boolean(code) && code.toLowerCase().includes(VOUCHER_SELECTOR);
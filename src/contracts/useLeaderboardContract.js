@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { getLeaderboardContract } from "./leaderboardContract.js";
+
+// The adapter for the contract at `address` once detected, for what the UI
+// shows (e.g. hiding claims on a contract without rewards). Actions should
+// await getLeaderboardContract instead, so they never race the detection.
+export const useLeaderboardContract = (publicClient, address) => {
+  const [contract, setContract] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setContract(null);
+    setError(null);
+    if (!publicClient || !address) return;
+    let cancelled = false;
+    getLeaderboardContract(publicClient, address)
+      .then((adapter) => !cancelled && setContract(adapter))
+      .catch((err) => {
+        console.error(`❌ Failed to detect the contract at ${address}:`, err);
+        if (!cancelled) setError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [publicClient, address]);
+
+  return { contract, error };
+};
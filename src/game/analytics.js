@@ -0,0 +1,109 @@
+import { applyClick, createGameEngine, runToEnd } from "./engine.js";
+
+// Per-game analytics, worked out by re-simulating the replay, so imported
+// replays get them too: reaction times (spawn to bust), where hits and misses
+// landed, and the share of objects that left the field un-busted.
+
+// Reaction-time buckets are this wide; the last one takes everything slower
+export const REACTION_BUCKET_MS = 200;
+export const REACTION_BUCKETS = 8;
+// The heatmap splits the field into a HEATMAP_COLUMNS x HEATMAP_ROWS grid
+export const HEATMAP_COLUMNS = 6;
+export const HEATMAP_ROWS = 7;
+
+const emptyAnalytics = () => ({
+  reaction: { count: 0, total: 0, fastest: null, median: null, buckets: new Array(REACTION_BUCKETS).fill(0) },
+  heatmap: { hits: new Array(HEATMAP_COLUMNS * HEATMAP_ROWS).fill(0), misses: new Array(HEATMAP_COLUMNS * HEATMAP_ROWS).fill(0) },
+  // Bombs are left out: letting one go is the right call
+  spawned: 0,
+  expired: 0,
+});
+
+const heatmapCell = (rules, x, y) => {
+  const column = Math.min(HEATMAP_COLUMNS - 1, Math.max(0, Math.floor((x / rules.fieldWidth) * HEATMAP_COLUMNS)));
+  const row = Math.min(HEATMAP_ROWS - 1, Math.max(0, Math.floor((y / rules.fieldHeight) * HEATMAP_ROWS)));
+  return row * HEATMAP_COLUMNS + column;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+export const analyzeReplay = (replay) => {
+  const { rules } = replay;
+  const analytics = emptyAnalytics();
+  const reactionTimes = [];
+  const engine = createGameEngine({ seed: replay.seed, rules, clock: { now: () => 0 } });
+
+  let busted = false;
+  engine.subscribe((event) => {
+    const { object } = event;
+    if (event.type === "spawn" && object.type !== "bomb") analytics.spawned++;
+    if ((event.type === "expire" || event.type === "drop") && object.type !== "bomb") analytics.expired++;
+    if (event.type === "bust") {
+      busted = true;
+      if (object.type !== "bomb") reactionTimes.push(event.t - object.spawnTime);
+    }
+  });
+
+  replay.clicks.forEach((click) => {
+    busted = false;
+    applyClick(engine, click);
+    const cell = heatmapCell(rules, click.x, click.y);
+    if (busted) {
+      analytics.heatmap.hits[cell]++;
+    } else {
+      analytics.heatmap.misses[cell]++;
+    }
+  });
+  runToEnd(engine, replay);
+
+  reactionTimes.forEach((ms) => {
+    analytics.reaction.buckets[Math.min(REACTION_BUCKETS - 1, Math.floor(ms / REACTION_BUCKET_MS))]++;
+  });
+  analytics.reaction.count = reactionTimes.length;
+  analytics.reaction.total = reactionTimes.reduce((sum, ms) => sum + ms, 0);
+  analytics.reaction.fastest = reactionTimes.length > 0 ? Math.min(...reactionTimes) : null;
+  analytics.reaction.median = median(reactionTimes);
+  return analytics;
+};
+
+// Sum of many games' analytics, for the stats tab. The median can't be
+// combined, so it's left out.
+export const combineAnalytics = (list) =>
+  list.reduce((sum, analytics) => {
+    const add = (a, b) => a.map((value, i) => value + (b[i] ?? 0));
+    const fastest = [sum.reaction.fastest, analytics.reaction.fastest].filter((ms) => ms !== null);
+    return {
+      reaction: {
+        count: sum.reaction.count + analytics.reaction.count,
+        total: sum.reaction.total + analytics.reaction.total,
+        fastest: fastest.length > 0 ? Math.min(...fastest) : null,
+        median: null,
+        buckets: add(sum.reaction.buckets, analytics.reaction.buckets),
+      },
+      heatmap: { hits: add(sum.heatmap.hits, analytics.heatmap.hits), misses: add(sum.heatmap.misses, analytics.heatmap.misses) },
+      spawned: sum.spawned + analytics.spawned,
+      expired: sum.expired + analytics.expired,
+    };
+  }, emptyAnalytics());
+
+export const averageReaction = (analytics) =>
+  analytics.reaction.count === 0 ? null : Math.round(analytics.reaction.total / analytics.reaction.count);
+
+export const expiredShare = (analytics) => (analytics.spawned === 0 ? 0 : analytics.expired / analytics.spawned);
+
+// One thing to work on, from the weakest part of the game
+export const improvementTip = (analytics) => {
+  const misses = analytics.heatmap.misses.reduce((sum, n) => sum + n, 0);
+  const clicks = misses + analytics.heatmap.hits.reduce((sum, n) => sum + n, 0);
+  if (clicks === 0) return "Tap the objects before they disappear!";
+  if (expiredShare(analytics) > 0.5) return "More than half the objects got away. Keep your eyes moving across the whole field.";
+  if (misses / clicks > 0.25) return "Lots of taps hit empty space. Slow down slightly and aim for the centre of each object.";
+  const average = averageReaction(analytics);
+  if (average !== null && average > 600) return "Objects sit a while before you bust them. Try reacting to each one as it spawns.";
+  return "Solid run! Chain hits without a miss to build your multiplier.";
+};
@@ -0,0 +1,43 @@
+// Game clocks report elapsed game time in whole ms. Paused time is never
+// counted, so objects stop aging while the game is paused, and whole-ms
+// timestamps let recorded clicks be replayed exactly.
+export const createClock = (source = () => performance.now()) => {
+  let startedAt = null;
+  let pausedAt = null;
+  let pausedTotal = 0;
+
+  return {
+    start() {
+      startedAt = source();
+      pausedAt = null;
+      pausedTotal = 0;
+    },
+    pause() {
+      if (startedAt !== null && pausedAt === null) pausedAt = source();
+    },
+    resume() {
+      if (pausedAt === null) return;
+      pausedTotal += source() - pausedAt;
+      pausedAt = null;
+    },
+    isPaused: () => pausedAt !== null,
+    now() {
+      if (startedAt === null) return 0;
+      return Math.floor((pausedAt ?? source()) - startedAt - pausedTotal);
+    },
+  };
+};
+
+// Clock that only moves when told to (simulation, replays, verification)
+export const createManualClock = (initial = 0) => {
+  let current = initial;
+  return {
+    now: () => current,
+    set(t) {
+      current = t;
+    },
+    advance(dt) {
+      current += dt;
+    },
+  };
+};
@@ -0,0 +1,87 @@
+import { DEFAULT_SPAWN_WEIGHTS } from "./objectTypes.js";
+import { createRules, DEFAULT_RULES, MAX_SPAWN_WEIGHT, RULE_LIMITS } from "./rules.js";
+
+// Custom Rules
+// Player-made rulesets, shared as short codes. Custom games never count
+// towards rewards: their scores stay on this device.
+export const CUSTOM_DIFFICULTY = "custom";
+export const CUSTOM_LABEL = "🛠️ Custom";
+
+// What a player can set, and within which bounds
+export const CUSTOM_LIMITS = {
+  duration: { label: "Duration (ms)", ...RULE_LIMITS.duration, step: 1000 },
+  spawnInterval: { label: "Spawn interval (ms)", ...RULE_LIMITS.spawnInterval, step: 10 },
+  lifetime: { label: "Lifetime (ms)", ...RULE_LIMITS.lifetime, step: 50 },
+  maxObjects: { label: "Object cap", ...RULE_LIMITS.maxObjects, step: 1 },
+};
+
+// Codes list the weights in this order, so it must never change
+const CODE_TYPES = ["ego", "bomb", "golden", "clock", "freeze"];
+const CODE_VERSION = 1;
+const CODE_PARAM = "challenge";
+
+// `seed` is null until the ruleset is played or shared
+export const DEFAULT_CUSTOM_SETTINGS = Object.freeze({
+  seed: null,
+  duration: DEFAULT_RULES.duration,
+  spawnInterval: DEFAULT_RULES.spawnInterval,
+  lifetime: DEFAULT_RULES.lifetime,
+  maxObjects: DEFAULT_RULES.maxObjects,
+  spawnWeights: DEFAULT_SPAWN_WEIGHTS,
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(Number(value) || 0)));
+
+// Settings pulled back inside their limits
+export const normalizeCustomSettings = (settings) => ({
+  seed: settings.seed === null || settings.seed === undefined || settings.seed === "" ? null : clamp(settings.seed, 0, 2 ** 32 - 1),
+  ...Object.fromEntries(Object.entries(CUSTOM_LIMITS).map(([key, { min, max }]) => [key, clamp(settings[key], min, max)])),
+  spawnWeights: Object.fromEntries(CODE_TYPES.map((type) => [type, clamp(settings.spawnWeights?.[type], 0, MAX_SPAWN_WEIGHT)])),
+});
+
+export const isCustomRules = (rules) => rules?.difficulty === CUSTOM_DIFFICULTY;
+
+export const customRules = (settings, { imageCount } = {}) => {
+  const { duration, spawnInterval, lifetime, maxObjects, spawnWeights } = normalizeCustomSettings(settings);
+  const rules = createRules({ duration, spawnInterval, lifetime, maxObjects, spawnWeights, difficulty: CUSTOM_DIFFICULTY, mode: "timed" });
+  return imageCount ? { ...rules, imageCount } : rules;
+};
+
+// Numbers in base 36 joined with dashes: short, and safe in a URL as-is
+export const encodeChallengeCode = (settings) => {
+  const s = normalizeCustomSettings(settings);
+  if (s.seed === null) throw new Error("A challenge code needs a seed");
+  return [CODE_VERSION, s.seed, s.duration, s.spawnInterval, s.lifetime, s.maxObjects, ...CODE_TYPES.map((type) => s.spawnWeights[type])]
+    .map((n) => n.toString(36))
+    .join("-");
+};
+
+export const decodeChallengeCode = (code) => {
+  const parts = String(code).trim().toLowerCase().split("-");
+  if (!parts.every((part) => /^[0-9a-z]+$/.test(part))) throw new Error("Challenge code is not valid");
+  const [version, seed, duration, spawnInterval, lifetime, maxObjects, ...weights] = parts.map((part) => parseInt(part, 36));
+  if (version !== CODE_VERSION) throw new Error("Challenge code is from an unsupported version");
+  if (weights.length !== CODE_TYPES.length) throw new Error("Challenge code is incomplete");
+  return normalizeCustomSettings({
+    seed,
+    duration,
+    spawnInterval,
+    lifetime,
+    maxObjects,
+    spawnWeights: Object.fromEntries(CODE_TYPES.map((type, i) => [type, weights[i]])),
+  });
+};
+
+export const challengeUrl = (code) => `${window.location.origin}${window.location.pathname}?${CODE_PARAM}=${code}`;
+
+// Settings from a shared link (?challenge=...), or null
+export const challengeFromUrl = () => {
+  const code = new URLSearchParams(window.location.search).get(CODE_PARAM);
+  if (!code) return null;
+  try {
+    return decodeChallengeCode(code);
+  } catch (err) {
+    console.warn("Ignoring invalid challenge link:", err);
+    return null;
+  }
+};
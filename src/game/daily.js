@@ -0,0 +1,28 @@
+import { rulesForGame } from "./modes.js";
+
+// Daily Challenge
+// Everyone plays the same seed on a given UTC day, so the spawn sequence is
+// identical for all players. The rules are fixed too, whatever the pickers say.
+export const DAILY_CHALLENGE = Object.freeze({ difficulty: "normal", mode: "timed" });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-10-19" style id of the challenge running at `date`
+export const dailyChallengeId = (date = new Date()) => date.toISOString().slice(0, 10);
+
+export const msUntilNextChallenge = (date = new Date()) => DAY_MS - (date.getTime() % DAY_MS);
+
+// The id of the day before/after `id`
+export const shiftChallengeId = (id, days) => dailyChallengeId(new Date(Date.parse(`${id}T00:00:00Z`) + days * DAY_MS));
+
+// FNV-1a, so the seed is stable across browsers and the verifier
+export const dailySeed = (id) => {
+  let hash = 0x811c9dc5;
+  for (const char of `egoBust.daily.${id}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+export const dailyRules = ({ imageCount } = {}) => rulesForGame({ ...DAILY_CHALLENGE, imageCount });
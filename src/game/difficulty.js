@@ -0,0 +1,41 @@
+import { createRules } from "./rules.js";
+
+// Difficulty presets; each one only lists the rules it changes from the defaults
+export const DIFFICULTIES = {
+  easy: {
+    label: "😌 Easy",
+    rules: { spawnInterval: 350, lifetime: 1600, maxObjects: 40, spawnWeights: { ego: 100, bomb: 3, golden: 3, clock: 5, freeze: 3 } },
+  },
+  normal: { label: "🙂 Normal", rules: {} },
+  hard: {
+    label: "😤 Hard",
+    rules: { spawnInterval: 150, lifetime: 750, maxObjects: 80, spawnWeights: { ego: 100, bomb: 14, golden: 2, clock: 2, freeze: 2 } },
+  },
+  insane: {
+    label: "🤯 Insane",
+    rules: { spawnInterval: 90, lifetime: 550, maxObjects: 120, spawnWeights: { ego: 100, bomb: 25, golden: 1, clock: 1, freeze: 1 } },
+  },
+  progressive: {
+    label: "📈 Progressive",
+    rules: {
+      duration: 45000,
+      spawnInterval: 400,
+      spawnIntervalEnd: 100,
+      lifetime: 1600,
+      lifetimeEnd: 500,
+      maxObjects: 100,
+      spawnWeights: { ego: 100, bomb: 10, golden: 2, clock: 3, freeze: 3 },
+    },
+  },
+};
+
+export const DEFAULT_DIFFICULTY = "normal";
+
+export const isDifficulty = (id) => Object.hasOwn(DIFFICULTIES, id);
+
+export const rulesForDifficulty = (id) => {
+  const difficulty = isDifficulty(id) ? id : DEFAULT_DIFFICULTY;
+  return createRules({ ...DIFFICULTIES[difficulty].rules, difficulty });
+};
+
+export const difficultyLabel = (id) => DIFFICULTIES[id]?.label || id;
@@ -0,0 +1,260 @@
+import { createRandom } from "./random.js";
+import { DEFAULT_RULES, lifetimeAt, spawnIntervalAt } from "./rules.js";
+import { applyBomb, applyExpire, applyHit, applyMiss, createScoreState, multiplierAt, scoreBreakdown } from "./scoring.js";
+import { pickObjectType } from "./objectTypes.js";
+
+// How long a busted object stays around for its pop animation (render only)
+export const POP_DURATION = 300;
+
+// Extra reach around objects for touch presses, in field units
+export const TOUCH_SLOP = 10;
+
+// Floor for the spawn interval, so bad rules can't stall the spawn loop
+const MIN_SPAWN_INTERVAL = 1;
+
+// Deterministic bust game engine.
+// Given the same seed, rules and clicks (busts and misses) it produces the
+// same object stream and score. It never reads wall-clock time: everything is
+// driven by the clock it is handed, so pausing the clock pauses the game.
+export const createGameEngine = ({ seed, rules = DEFAULT_RULES, clock }) => {
+  const random = createRandom(seed);
+  const listeners = new Set();
+
+  const state = {
+    time: 0,
+    scoring: createScoreState(),
+    objects: [],
+    pops: [],
+    nextId: 1,
+    nextSpawnAt: 0,
+    // Clock pickups push the end of the game back, freeze pickups hold spawning
+    endsAt: rules.mode === "timed" ? rules.duration : Infinity,
+    frozenUntil: 0,
+    lives: rules.lives,
+    over: false,
+  };
+
+  const emit = (event) => {
+    listeners.forEach((listener) => listener(event));
+  };
+
+  const score = (apply, t, ...args) => {
+    const result = apply(state.scoring, rules, t, ...args);
+    state.scoring = result.state;
+    return result.points;
+  };
+
+  const spawnObject = (t) => {
+    const obj = {
+      id: state.nextId++,
+      x: Math.floor(random() * Math.max(1, rules.fieldWidth - rules.objectSize)),
+      y: Math.floor(random() * Math.max(1, rules.fieldHeight - rules.objectSize)),
+      image: Math.floor(random() * rules.imageCount),
+      type: pickObjectType(rules.spawnWeights, random),
+      spawnTime: t,
+      expiresAt: t + lifetimeAt(rules, t),
+    };
+    if (state.objects.length >= rules.maxObjects) {
+      const [dropped] = state.objects.splice(0, 1);
+      loseObject(dropped, t, "drop");
+    }
+    state.objects.push(obj);
+    emit({ type: "spawn", t, object: obj });
+  };
+
+  // An object left the field un-busted, either by expiring or by being
+  // pushed out by the object cap
+  const loseObject = (obj, t, type) => {
+    // Letting a bomb go is the right call, so it costs nothing
+    if (obj.type === "bomb") {
+      emit({ type, t, object: obj, points: 0 });
+      return;
+    }
+    const points = score(applyExpire, t);
+    emit({ type, t, object: obj, points });
+
+    if (rules.mode === "survival") {
+      state.lives -= 1;
+      emit({ type: "life", t, lives: state.lives });
+      if (state.lives <= 0) state.endsAt = Math.min(state.endsAt, t);
+    }
+  };
+
+  const expireObjects = (t) => {
+    const alive = [];
+    state.objects.forEach((obj) => {
+      if (t >= obj.expiresAt) {
+        loseObject(obj, t, "expire");
+      } else {
+        alive.push(obj);
+      }
+    });
+    state.objects = alive;
+    state.pops = state.pops.filter((pop) => t - pop.at < POP_DURATION);
+  };
+
+  const nextExpiry = () =>
+    state.objects.reduce((min, obj) => Math.min(min, obj.expiresAt), Infinity);
+
+  const endGame = (t) => {
+    state.time = t;
+    state.over = true;
+    state.objects = [];
+    state.pops = [];
+    emit({ type: "end", t, score: state.scoring.score });
+  };
+
+  // Process every spawn/expiry up to (and including) game time `target`
+  const advanceTo = (target) => {
+    if (state.over) return;
+    while (true) {
+      if (state.nextSpawnAt < state.frozenUntil) state.nextSpawnAt = state.frozenUntil;
+      const next = Math.min(state.nextSpawnAt, nextExpiry());
+      // Written so a NaN time stops the loop too
+      if (!(next <= Math.min(target, state.endsAt))) break;
+      expireObjects(next);
+      // Survival ends the moment the last life is lost
+      if (next >= state.endsAt) break;
+      if (state.nextSpawnAt === next) {
+        spawnObject(next);
+        state.nextSpawnAt += Math.max(MIN_SPAWN_INTERVAL, spawnIntervalAt(rules, next) || 0);
+      }
+    }
+
+    state.time = Math.max(state.time, Math.min(target, state.endsAt));
+    expireObjects(state.time);
+    if (state.time >= state.endsAt) endGame(state.endsAt);
+  };
+
+  // Zen games have no timer; they end when the player finishes them
+  const finish = (t = clock.now()) => {
+    advanceTo(t);
+    if (!state.over) endGame(state.time);
+  };
+
+  const applyBust = (obj) => {
+    const t = state.time;
+    switch (obj.type) {
+      case "bomb":
+        return score(applyBomb, t);
+      case "golden":
+        return score(applyHit, t, rules.points * rules.goldenMultiplier);
+      case "clock":
+        if (rules.mode === "survival") {
+          state.lives += 1;
+          emit({ type: "life", t, lives: state.lives });
+        } else if (rules.mode === "timed") {
+          state.endsAt += rules.clockBonus;
+        }
+        return score(applyHit, t);
+      case "freeze":
+        state.frozenUntil = Math.max(state.frozenUntil, t + rules.freezeDuration);
+        return score(applyHit, t);
+      default:
+        return score(applyHit, t);
+    }
+  };
+
+  const bust = (id, t = clock.now()) => {
+    advanceTo(t);
+    if (state.over) return null;
+
+    const index = state.objects.findIndex((obj) => obj.id === id);
+    if (index === -1) return null;
+
+    const [obj] = state.objects.splice(index, 1);
+    const points = applyBust(obj);
+    state.pops.push({ ...obj, at: state.time, points });
+    emit({ type: "bust", t: state.time, object: obj, points, combo: state.scoring.combo });
+    return obj;
+  };
+
+  // A click that landed on empty space
+  const miss = (t = clock.now()) => {
+    advanceTo(t);
+    if (state.over) return;
+    const points = score(applyMiss, state.time);
+    emit({ type: "miss", t: state.time, points });
+  };
+
+  // Bust the top-most object under a field point, if any. Failing that, an
+  // object within `slop` field units of the point counts too (the one whose
+  // centre is nearest), for fingers that are less precise than a cursor.
+  const bustAt = (x, y, t = clock.now(), slop = 0) => {
+    advanceTo(t);
+    const within = (obj, margin) =>
+      x >= obj.x - margin && x <= obj.x + rules.objectSize + margin && y >= obj.y - margin && y <= obj.y + rules.objectSize + margin;
+    const distance = (obj) => Math.hypot(obj.x + rules.objectSize / 2 - x, obj.y + rules.objectSize / 2 - y);
+
+    let hit = [...state.objects].reverse().find((obj) => within(obj, 0));
+    if (!hit && slop > 0) {
+      hit = state.objects
+        .filter((obj) => within(obj, slop))
+        .reduce((nearest, obj) => (!nearest || distance(obj) < distance(nearest) ? obj : nearest), null);
+    }
+    return hit ? bust(hit.id, t) : null;
+  };
+
+  const getSnapshot = () => ({
+    time: state.time,
+    timeLeft: rules.mode === "timed" ? Math.max(0, state.endsAt - state.time) : null,
+    lives: rules.mode === "survival" ? state.lives : null,
+    frozen: state.frozenUntil > state.time,
+    score: state.scoring.score,
+    combo: state.scoring.combo,
+    multiplier: multiplierAt(state.scoring, rules, state.time),
+    stats: scoreBreakdown(state.scoring),
+    objects: [...state.objects],
+    pops: [...state.pops],
+    over: state.over,
+  });
+
+  return {
+    seed,
+    rules,
+    advanceTo,
+    update: () => {
+      advanceTo(clock.now());
+      return getSnapshot();
+    },
+    bust,
+    bustAt,
+    miss,
+    finish,
+    getSnapshot,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// Object ids start at 1, so a recorded click with id 0 is a miss
+export const MISS_ID = 0;
+
+export const applyClick = (engine, click) => {
+  if (click.id === MISS_ID) {
+    engine.miss(click.t);
+  } else {
+    engine.bust(click.id, click.t);
+  }
+};
+
+// Takes a re-run game to its end. Zen games have no end of their own, so
+// they stop where the player finished them or, without a recorded end, at
+// the last click.
+export const runToEnd = (engine, { clicks = [], endedAt = null }) => {
+  if (engine.rules.mode === "zen") {
+    engine.finish(endedAt ?? clicks.at(-1)?.t ?? 0);
+  } else {
+    engine.advanceTo(Infinity);
+  }
+};
+
+// Re-run a game from its inputs alone; used for replays and score checks
+export const simulateGame = ({ seed, rules = DEFAULT_RULES, clicks = [], endedAt = null }) => {
+  const engine = createGameEngine({ seed, rules, clock: { now: () => 0 } });
+  clicks.forEach((click) => applyClick(engine, click));
+  runToEnd(engine, { clicks, endedAt });
+  return engine.getSnapshot();
+};
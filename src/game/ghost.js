@@ -0,0 +1,34 @@
+import { MISS_ID, simulateGame } from "./engine.js";
+import { createReplayCursor } from "./replay.js";
+
+// Where a ghost comes from; "file" is a replay the player imported
+export const GHOST_SOURCES = {
+  off: { label: "👻 No Ghost" },
+  best: { label: "👻 Personal Best" },
+  leader: { label: "👻 Leaderboard #1" },
+  file: { label: "👻 Import Ghost" },
+};
+
+// Another run raced alongside the live game: its running score and recent
+// busts at any game time. Game time only moves forward, so asking for an
+// earlier time (the HUD lags the renderer a little) returns the latest frame
+// instead of re-simulating from the start.
+export const createGhost = (replay, label) => {
+  const cursor = createReplayCursor(replay);
+  let frame = { time: -1, score: 0, busts: [] };
+
+  return {
+    label,
+    finalScore: replay.score ?? simulateGame(replay).score,
+    at(t) {
+      if (t <= frame.time) return frame;
+      const snap = cursor.seek(t);
+      frame = {
+        time: t,
+        score: snap.score,
+        busts: snap.clicks.filter((c) => c.id !== MISS_ID).map((c) => ({ x: c.x, y: c.y, age: t - c.t })),
+      };
+      return frame;
+    },
+  };
+};
@@ -0,0 +1,23 @@
+import { rulesForDifficulty } from "./difficulty.js";
+
+// Game modes layer on top of a difficulty preset
+export const GAME_MODES = {
+  timed: { label: "⏱️ Timed", description: "Bust as many as you can before the timer runs out", rewardEligible: true, rules: {} },
+  survival: { label: "❤️ Survival", description: "Every ego that gets away costs a life", rewardEligible: true, rules: { lives: 3 } },
+  zen: { label: "🧘 Zen", description: "No timer and no penalties, finish whenever you like", rewardEligible: false, rules: { missPenalty: 0, expirePenalty: 0, bombPenalty: 0 } },
+};
+
+export const DEFAULT_MODE = "timed";
+
+export const isGameMode = (id) => Object.hasOwn(GAME_MODES, id);
+
+export const gameModeLabel = (id) => GAME_MODES[id]?.label || GAME_MODES[DEFAULT_MODE].label;
+
+export const isRewardEligibleMode = (id) => Boolean(GAME_MODES[id]?.rewardEligible);
+
+// `imageCount` is how many object images the sprite atlas holds
+export const rulesForGame = ({ difficulty, mode, imageCount }) => {
+  const gameMode = isGameMode(mode) ? mode : DEFAULT_MODE;
+  const rules = { ...rulesForDifficulty(difficulty), ...GAME_MODES[gameMode].rules, mode: gameMode };
+  return imageCount ? { ...rules, imageCount } : rules;
+};
@@ -0,0 +1,28 @@
+// Object Types
+// Every spawned object has a type; which one is drawn from the rules' weighted
+// spawn table. Types other than "ego" get a marker and their own pop effect.
+export const OBJECT_TYPES = {
+  ego: { label: "Ego", marker: null },
+  bomb: { label: "Bomb", marker: "💣" },
+  golden: { label: "Golden Ego", marker: "👑" },
+  clock: { label: "Time Pickup", marker: "⏱️" },
+  freeze: { label: "Freeze Pickup", marker: "❄️" },
+};
+
+export const DEFAULT_SPAWN_WEIGHTS = Object.freeze({ ego: 100, bomb: 8, golden: 2, clock: 3, freeze: 2 });
+
+// `random` is only consumed when there is an actual choice to make, so a
+// single-type table leaves the rest of the seeded stream untouched.
+export const pickObjectType = (weights, random) => {
+  const entries = Object.entries(weights).filter(([type, weight]) => weight > 0 && OBJECT_TYPES[type]);
+  if (entries.length === 0) return "ego";
+  if (entries.length === 1) return entries[0][0];
+
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [type, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return type;
+  }
+  return entries[entries.length - 1][0];
+};
@@ -0,0 +1,147 @@
+import { applyClick, createGameEngine, simulateGame } from "./engine.js";
+import { isGameMode } from "./modes.js";
+import { OBJECT_TYPES } from "./objectTypes.js";
+import { createRules, MAX_SPAWN_WEIGHT, RULE_LIMITS } from "./rules.js";
+
+export const REPLAY_VERSION = 1;
+
+// How long a click marker stays visible during playback
+const CLICK_MARKER_MS = 400;
+
+// Clicks closer together than this can't come from a person. The game drops
+// them and the score verifier refuses replays that contain them.
+export const MIN_CLICK_GAP_MS = 40;
+
+export const createReplay = ({ seed, rules }) => ({
+  version: REPLAY_VERSION,
+  seed,
+  rules,
+  recordedAt: Date.now(),
+  // Set when the player finished a zen game
+  endedAt: null,
+  clicks: [],
+});
+
+export const recordClick = (replay, { t, id, x, y }) => {
+  replay.clicks.push({ t, id, x, y });
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Clicks are stored as [t, id, x, y] tuples to keep exported files small
+export const serializeReplay = (replay, score) =>
+  JSON.stringify({
+    version: replay.version,
+    seed: replay.seed,
+    rules: replay.rules,
+    score,
+    recordedAt: replay.recordedAt,
+    endedAt: replay.endedAt,
+    clicks: replay.clicks.map((c) => [c.t, c.id, round1(c.x), round1(c.y)]),
+  });
+
+const isValidRule = (value, { min, max, integer = false, nullable = false }) => {
+  if (value === null) return nullable;
+  return Number.isFinite(value) && value >= min && value <= max && (!integer || Number.isInteger(value));
+};
+
+// Only known rules are kept; missing ones fall back to the defaults
+const parseRules = (data) => {
+  if (!data || typeof data !== "object") throw new Error("Replay is missing its rules");
+  const rules = {};
+
+  if (data.mode !== undefined) {
+    if (!isGameMode(data.mode)) throw new Error(`Replay has an unknown game mode "${data.mode}"`);
+    rules.mode = data.mode;
+  }
+  if (data.difficulty !== undefined) {
+    if (typeof data.difficulty !== "string") throw new Error("Replay has an invalid difficulty");
+    rules.difficulty = data.difficulty;
+  }
+
+  Object.entries(RULE_LIMITS).forEach(([key, limits]) => {
+    if (data[key] === undefined) return;
+    if (!isValidRule(data[key], limits)) throw new Error(`Replay has an invalid ${key} rule`);
+    rules[key] = data[key];
+  });
+
+  if (data.spawnWeights !== undefined) {
+    const weights = data.spawnWeights;
+    if (!weights || typeof weights !== "object") throw new Error("Replay has invalid spawn weights");
+    const valid = Object.entries(weights).every(([type, w]) => Object.hasOwn(OBJECT_TYPES, type) && isValidRule(w, { min: 0, max: MAX_SPAWN_WEIGHT }));
+    if (!valid) throw new Error("Replay has invalid spawn weights");
+    // A survival game spawning nothing but bombs could never lose a life, so it would never end
+    const onlyBombs = weights.bomb > 0 && Object.entries(weights).every(([type, w]) => type === "bomb" || w === 0);
+    if (onlyBombs && rules.mode === "survival") throw new Error("Replay has a survival game that cannot end");
+    rules.spawnWeights = weights;
+  }
+
+  return createRules(rules);
+};
+
+export const parseReplay = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Replay file is not valid JSON");
+  }
+
+  if (data?.version !== REPLAY_VERSION) throw new Error("Unsupported replay version");
+  if (!Number.isInteger(data.seed)) throw new Error("Replay is missing its seed");
+  const rules = parseRules(data.rules);
+  if (!Array.isArray(data.clicks)) throw new Error("Replay is missing its clicks");
+
+  const clicks = data.clicks.map((c) => {
+    if (!Array.isArray(c) || c.length < 2 || !c.every(Number.isFinite)) throw new Error("Replay contains an invalid click");
+    const [t, id, x = 0, y = 0] = c;
+    return { t, id, x, y };
+  });
+  clicks.sort((a, b) => a.t - b.t);
+
+  return {
+    version: data.version,
+    seed: data.seed,
+    rules,
+    score: Number.isFinite(data.score) ? data.score : null,
+    recordedAt: data.recordedAt || null,
+    endedAt: Number.isFinite(data.endedAt) ? data.endedAt : null,
+    clicks,
+  };
+};
+
+// Seekable view of a replay. Seeking forward keeps simulating; seeking
+// backwards re-simulates from the start, which is cheap for a single game.
+export const createReplayCursor = (replay) => {
+  // Time pickups can make a game run longer than its rules' duration
+  const duration = simulateGame(replay).time;
+  let engine = null;
+  let index = 0;
+
+  const reset = () => {
+    engine = createGameEngine({ seed: replay.seed, rules: replay.rules, clock: { now: () => 0 } });
+    index = 0;
+  };
+
+  reset();
+
+  return {
+    duration,
+    seek(t) {
+      if (t < engine.getSnapshot().time) reset();
+      while (index < replay.clicks.length && replay.clicks[index].t <= t) {
+        applyClick(engine, replay.clicks[index]);
+        index++;
+      }
+      if (replay.rules.mode === "zen" && t >= duration) {
+        engine.finish(duration);
+      } else {
+        engine.advanceTo(t);
+      }
+      return {
+        ...engine.getSnapshot(),
+        clicks: replay.clicks.filter((c) => c.t <= t && t - c.t < CLICK_MARKER_MS),
+      };
+    },
+  };
+};
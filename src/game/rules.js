@@ -0,0 +1,79 @@
+import { DEFAULT_SPAWN_WEIGHTS } from "./objectTypes.js";
+
+// Game Rules
+// All positions are in field units; the renderer scales the field to the game area.
+const BASE_GAME_WIDTH = 320;
+const BASE_GAME_HEIGHT = 384;
+const BORDER_WIDTH = 3;
+
+export const DEFAULT_RULES = Object.freeze({
+  difficulty: "normal",
+  // "timed" ends after `duration`, "survival" when `lives` run out, "zen" when the player finishes
+  mode: "timed",
+  duration: 30000,
+  lives: 3,
+  spawnInterval: 200,
+  lifetime: 1000,
+  // When set, spawnInterval/lifetime ramp linearly to these values by the end of the game
+  spawnIntervalEnd: null,
+  lifetimeEnd: null,
+  maxObjects: 60,
+  // Object types (see objectTypes.js)
+  spawnWeights: DEFAULT_SPAWN_WEIGHTS,
+  goldenMultiplier: 10,
+  bombPenalty: 25,
+  clockBonus: 3000,
+  freezeDuration: 2000,
+  // Scoring (see scoring.js)
+  points: 10,
+  multiplierStep: 0.1,
+  maxMultiplier: 4,
+  multiplierDecay: 0.25,
+  missPenalty: 5,
+  expirePenalty: 1,
+  fieldWidth: BASE_GAME_WIDTH - 2 * BORDER_WIDTH,
+  fieldHeight: BASE_GAME_HEIGHT - 2 * BORDER_WIDTH,
+  objectSize: 35,
+  // Overridden with the sprite atlas' count when a game starts (see modes.js)
+  imageCount: 1,
+});
+
+export const createRules = (overrides = {}) => ({ ...DEFAULT_RULES, ...overrides });
+
+// Bounds for every numeric rule. Rules outside them could stall or flood the
+// engine, so imported replays are checked against them and custom rulesets
+// are kept inside them.
+export const RULE_LIMITS = {
+  duration: { min: 5000, max: 300000 },
+  spawnInterval: { min: 50, max: 2000 },
+  lifetime: { min: 300, max: 5000 },
+  maxObjects: { min: 1, max: 200, integer: true },
+  spawnIntervalEnd: { min: 50, max: 2000, nullable: true },
+  lifetimeEnd: { min: 300, max: 5000, nullable: true },
+  lives: { min: 1, max: 100, integer: true },
+  goldenMultiplier: { min: 0, max: 100 },
+  bombPenalty: { min: 0, max: 1000 },
+  clockBonus: { min: 0, max: 60000 },
+  freezeDuration: { min: 0, max: 60000 },
+  points: { min: 0, max: 1000 },
+  multiplierStep: { min: 0, max: 10 },
+  maxMultiplier: { min: 1, max: 100 },
+  multiplierDecay: { min: 0, max: 100 },
+  missPenalty: { min: 0, max: 1000 },
+  expirePenalty: { min: 0, max: 1000 },
+  fieldWidth: { min: 1, max: 10000 },
+  fieldHeight: { min: 1, max: 10000 },
+  objectSize: { min: 1, max: 1000 },
+  imageCount: { min: 1, max: 4096, integer: true },
+};
+export const MAX_SPAWN_WEIGHT = 100;
+
+const ramp = (start, end, t, duration) => {
+  if (end === null || end === undefined) return start;
+  const progress = Math.min(1, Math.max(0, t / duration));
+  return Math.round(start + (end - start) * progress);
+};
+
+export const spawnIntervalAt = (rules, t) => ramp(rules.spawnInterval, rules.spawnIntervalEnd, t, rules.duration);
+
+export const lifetimeAt = (rules, t) => ramp(rules.lifetime, rules.lifetimeEnd, t, rules.duration);
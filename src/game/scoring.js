@@ -0,0 +1,80 @@
+// Scoring
+// Consecutive hits build a combo and raise the multiplier; the multiplier
+// drains back towards 1x while no hits land. Misses and bombs break the combo
+// and cost points, and so do objects that expire un-busted. The score never
+// goes below 0.
+
+export const createScoreState = () => ({
+  score: 0,
+  hits: 0,
+  misses: 0,
+  expired: 0,
+  bombs: 0,
+  combo: 0,
+  maxCombo: 0,
+  multiplier: 1,
+  lastHitAt: 0,
+});
+
+export const multiplierAt = (state, rules, t) => {
+  const decayed = state.multiplier - (rules.multiplierDecay * (t - state.lastHitAt)) / 1000;
+  return Math.max(1, decayed);
+};
+
+export const applyHit = (state, rules, t, basePoints = rules.points) => {
+  const multiplier = Math.min(rules.maxMultiplier, multiplierAt(state, rules, t) + rules.multiplierStep);
+  const points = Math.round(basePoints * multiplier);
+  const combo = state.combo + 1;
+  return {
+    points,
+    state: {
+      ...state,
+      score: state.score + points,
+      hits: state.hits + 1,
+      combo,
+      maxCombo: Math.max(state.maxCombo, combo),
+      multiplier,
+      lastHitAt: t,
+    },
+  };
+};
+
+export const applyMiss = (state, rules) => {
+  const points = -Math.min(state.score, rules.missPenalty);
+  return {
+    points,
+    state: { ...state, score: state.score + points, misses: state.misses + 1, combo: 0, multiplier: 1 },
+  };
+};
+
+export const applyBomb = (state, rules) => {
+  const points = -Math.min(state.score, rules.bombPenalty);
+  return {
+    points,
+    state: { ...state, score: state.score + points, bombs: state.bombs + 1, combo: 0, multiplier: 1 },
+  };
+};
+
+export const applyExpire = (state, rules) => {
+  const points = -Math.min(state.score, rules.expirePenalty);
+  return {
+    points,
+    state: { ...state, score: state.score + points, expired: state.expired + 1 },
+  };
+};
+
+export const accuracy = (state) => {
+  const attempts = state.hits + state.misses;
+  return attempts === 0 ? 0 : state.hits / attempts;
+};
+
+// Per-game breakdown shown after a game
+export const scoreBreakdown = (state) => ({
+  score: state.score,
+  hits: state.hits,
+  misses: state.misses,
+  expired: state.expired,
+  bombs: state.bombs,
+  maxCombo: state.maxCombo,
+  accuracy: accuracy(state),
+});
@@ -0,0 +1,26 @@
+import { useEffect, useState } from "react";
+import { dailyChallengeId, dailySeed, msUntilNextChallenge } from "./daily.js";
+
+// Today's challenge, rolling over at UTC midnight. The time left until the
+// next one only ticks every second while `ticking` (i.e. while a countdown is
+// on screen); otherwise the hook just updates at the rollover, so a game in
+// progress isn't re-rendered every second.
+export const useDailyChallenge = ({ ticking = false } = {}) => {
+  const [now, setNow] = useState(() => new Date());
+  const id = dailyChallengeId(now);
+
+  useEffect(() => {
+    if (!ticking) return;
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [ticking]);
+
+  useEffect(() => {
+    if (ticking) return;
+    const timeout = setTimeout(() => setNow(new Date()), msUntilNextChallenge());
+    return () => clearTimeout(timeout);
+  }, [ticking, id]);
+
+  return { id, seed: dailySeed(id), msUntilNext: msUntilNextChallenge(now) };
+};
@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef } from "react";
+import { createClock } from "./clock.js";
+import { createGameEngine, MISS_ID } from "./engine.js";
+import { randomSeed } from "./random.js";
+import { createReplay, MIN_CLICK_GAP_MS, recordClick } from "./replay.js";
+import { DEFAULT_RULES } from "./rules.js";
+
+const TICK_MS = 50;
+
+const idleSnapshot = (rules) => ({
+  time: 0,
+  timeLeft: rules.mode === "timed" ? rules.duration : null,
+  lives: rules.mode === "survival" ? rules.lives : null,
+  score: 0,
+  combo: 0,
+  multiplier: 1,
+  stats: null,
+  objects: [],
+  pops: [],
+  over: false,
+});
+
+// Only what the HUD shows triggers a React update; objects and pops are drawn
+// straight from the engine by the canvas renderer (see `frame`).
+const hudChanged = (prev, next) =>
+  prev.score !== next.score ||
+  prev.combo !== next.combo ||
+  prev.multiplier.toFixed(1) !== next.multiplier.toFixed(1) ||
+  prev.lives !== next.lives ||
+  prev.frozen !== next.frozen ||
+  prev.over !== next.over ||
+  Math.floor(prev.time / 1000) !== Math.floor(next.time / 1000) ||
+  Math.ceil((prev.timeLeft ?? 0) / 1000) !== Math.ceil((next.timeLeft ?? 0) / 1000);
+
+// React binding for the game engine: owns the clock, ticks the engine,
+// records the run as a replay and exposes its latest snapshot for the HUD.
+export const useGameEngine = (initialRules = DEFAULT_RULES) => {
+  const engineRef = useRef(null);
+  const clockRef = useRef(null);
+  const replayRef = useRef(null);
+  const onEndRef = useRef(null);
+  const [snapshot, setSnapshot] = useState(() => idleSnapshot(initialRules));
+  const [running, setRunning] = useState(false);
+  const [rules, setRules] = useState(initialRules);
+  // Breakdown of the last finished game; survives starting the next one
+  const [lastResult, setLastResult] = useState(null);
+
+  useEffect(() => {
+    if (!running) return;
+
+    const interval = setInterval(() => {
+      const engine = engineRef.current;
+      if (!engine) return;
+      const next = engine.update();
+      setSnapshot((prev) => (hudChanged(prev, next) ? next : prev));
+      if (next.over) {
+        setRunning(false);
+        const result = { ...next.stats, difficulty: engine.rules.difficulty, mode: engine.rules.mode, duration: next.time, endedAt: Date.now() };
+        setLastResult(result);
+        onEndRef.current?.(result);
+        onEndRef.current = null;
+      }
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [running]);
+
+  // `onEnd` is called once with the game's breakdown when it finishes,
+  // `onEvent` with every engine event (spawns, busts, misses...) as it happens
+  const start = ({ seed = randomSeed(), rules: gameRules = DEFAULT_RULES, onEnd = null, onEvent = null } = {}) => {
+    const clock = createClock();
+    const engine = createGameEngine({ seed, rules: gameRules, clock });
+    if (onEvent) engine.subscribe(onEvent);
+    clockRef.current = clock;
+    engineRef.current = engine;
+    replayRef.current = createReplay({ seed, rules: gameRules });
+    onEndRef.current = onEnd;
+    setRules(gameRules);
+    clock.start();
+    setSnapshot(engine.update());
+    setRunning(true);
+    return engine;
+  };
+
+  const pause = () => {
+    clockRef.current?.pause();
+    setRunning(false);
+  };
+
+  const resume = () => {
+    if (!engineRef.current || engineRef.current.getSnapshot().over) return;
+    clockRef.current?.resume();
+    setRunning(true);
+  };
+
+  // `nextRules` lets the idle game area reflect the rules the next game will use
+  const stop = (nextRules = rules) => {
+    engineRef.current = null;
+    onEndRef.current = null;
+    clockRef.current = null;
+    setRunning(false);
+    setRules(nextRules);
+    setSnapshot(idleSnapshot(nextRules));
+  };
+
+  // Whether a click at `t` follows the last one too closely to be recorded
+  const tooSoon = (t) => {
+    const last = replayRef.current.clicks.at(-1);
+    return last !== undefined && t - last.t < MIN_CLICK_GAP_MS;
+  };
+
+  // `point` is where the click landed, in field units
+  const bust = (id, point = {}) => {
+    const engine = engineRef.current;
+    if (!engine || clockRef.current.isPaused() || engine.getSnapshot().over) return null;
+    const t = clockRef.current.now();
+    if (tooSoon(t)) return null;
+    const hit = engine.bust(id, t);
+    recordClick(replayRef.current, { t, id, x: point.x ?? 0, y: point.y ?? 0 });
+    setSnapshot(engine.getSnapshot());
+    return hit;
+  };
+
+  // End a zen game; the next tick reports it as over
+  const finish = () => {
+    const engine = engineRef.current;
+    if (!engine || engine.getSnapshot().over) return;
+    clockRef.current.resume();
+    const t = clockRef.current.now();
+    engine.finish(t);
+    replayRef.current.endedAt = t;
+    setRunning(true);
+  };
+
+  // A click or touch on the field: busts the top-most object under `point`,
+  // or misses. `slop` widens the hit area for touch (see engine.bustAt); the
+  // replay records which object was hit, so it never affects re-simulation.
+  const clickAt = (point, { slop = 0 } = {}) => {
+    const engine = engineRef.current;
+    if (!engine || clockRef.current.isPaused() || engine.getSnapshot().over) return null;
+    const t = clockRef.current.now();
+    if (tooSoon(t)) return null;
+    const hit = engine.bustAt(point.x, point.y, t, slop);
+    if (!hit) engine.miss(t);
+    recordClick(replayRef.current, { t, id: hit ? hit.id : MISS_ID, x: point.x, y: point.y });
+    setSnapshot(engine.getSnapshot());
+    return hit;
+  };
+
+  // Latest state for the renderer, advanced to the current game time
+  const frame = () => engineRef.current?.update() ?? null;
+
+  const miss = (point = {}) => {
+    const engine = engineRef.current;
+    if (!engine || clockRef.current.isPaused() || engine.getSnapshot().over) return;
+    const t = clockRef.current.now();
+    if (tooSoon(t)) return;
+    engine.miss(t);
+    recordClick(replayRef.current, { t, id: MISS_ID, x: point.x ?? 0, y: point.y ?? 0 });
+    setSnapshot(engine.getSnapshot());
+  };
+
+  return { snapshot, rules, lastResult, engine: engineRef, replay: replayRef, start, pause, resume, stop, finish, bust, miss, clickAt, frame };
+};
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef } from "react";
+import { createReplayCursor } from "./replay.js";
+
+const TICK_MS = 50;
+
+// Plays a recorded replay back with play/pause/seek controls
+export const useReplayPlayer = () => {
+  const cursorRef = useRef(null);
+  const positionRef = useRef(0);
+  const [replay, setReplay] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [duration, setDuration] = useState(0);
+
+  const seek = (t) => {
+    const cursor = cursorRef.current;
+    if (!cursor) return;
+    const clamped = Math.max(0, Math.min(cursor.duration, Math.round(t)));
+    positionRef.current = clamped;
+    setPosition(clamped);
+    setSnapshot(cursor.seek(clamped));
+  };
+
+  useEffect(() => {
+    if (!playing) return;
+
+    let last = performance.now();
+    const interval = setInterval(() => {
+      const cursor = cursorRef.current;
+      if (!cursor) return;
+      const now = performance.now();
+      const next = Math.min(cursor.duration, positionRef.current + (now - last));
+      last = now;
+      positionRef.current = next;
+      setPosition(Math.round(next));
+      setSnapshot(cursor.seek(Math.round(next)));
+      if (next >= cursor.duration) setPlaying(false);
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [playing]);
+
+  const load = (nextReplay) => {
+    cursorRef.current = createReplayCursor(nextReplay);
+    setDuration(cursorRef.current.duration);
+    setReplay(nextReplay);
+    seek(0);
+    setPlaying(true);
+  };
+
+  const togglePlay = () => {
+    const cursor = cursorRef.current;
+    if (!cursor) return;
+    if (!playing && positionRef.current >= cursor.duration) seek(0);
+    setPlaying(!playing);
+  };
+
+  const close = () => {
+    cursorRef.current = null;
+    positionRef.current = 0;
+    setPlaying(false);
+    setReplay(null);
+    setSnapshot(null);
+    setPosition(0);
+  };
+
+  return { replay, snapshot, position, duration, playing, load, seek, togglePlay, close };
+};
@@ -0,0 +1,36 @@
+// Geometry for the stats tab's score-over-time chart, drawn as SVG in a
+// CHART_WIDTH x CHART_HEIGHT viewBox with one point per game
+export const CHART_WIDTH = 300;
+export const CHART_HEIGHT = 120;
+const PADDING = 6;
+
+// Games the rolling average is taken over
+export const ROLLING_WINDOW = 10;
+
+export const rollingAverage = (values, window = ROLLING_WINDOW) => {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value - (i >= window ? values[i - window] : 0);
+    return sum / Math.min(i + 1, window);
+  });
+};
+
+export const personalBest = (games) =>
+  games.reduce((best, game) => (!best || game.score > best.score ? game : best), null);
+
+// { scorePath, averagePath, best: { x, y, score }, maxScore } for `games`, oldest first
+export const scoreChart = (games) => {
+  const scores = games.map((game) => game.score);
+  const maxScore = Math.max(1, ...scores);
+  const x = (i) => PADDING + (scores.length === 1 ? (CHART_WIDTH - 2 * PADDING) / 2 : (i / (scores.length - 1)) * (CHART_WIDTH - 2 * PADDING));
+  const y = (score) => CHART_HEIGHT - PADDING - (Math.max(0, score) / maxScore) * (CHART_HEIGHT - 2 * PADDING);
+  const path = (values) => values.map((value, i) => `${i === 0 ? "M" : "L"}${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(" ");
+
+  const bestIndex = scores.indexOf(Math.max(...scores));
+  return {
+    scorePath: path(scores),
+    averagePath: path(rollingAverage(scores)),
+    best: bestIndex === -1 ? null : { x: x(bestIndex), y: y(scores[bestIndex]), score: scores[bestIndex] },
+    maxScore,
+  };
+};
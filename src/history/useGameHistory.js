@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { addGameRecord, loadGameHistory, markGameSaved } from "../storage/gameHistory.js";
+
+// Game history of `account` (the smart account, or null for a guest).
+// `record` resolves to the new game's id, for `markSaved` once the score is
+// on-chain. Storage failures only cost the history, never the game.
+export const useGameHistory = (account) => {
+  const [games, setGames] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadGameHistory(account)
+      .then((loaded) => !cancelled && setGames(loaded))
+      .catch((err) => {
+        console.warn("Failed to load game history:", err);
+        if (!cancelled) setGames([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [account]);
+
+  const record = async (game) => {
+    try {
+      const id = await addGameRecord(account, game);
+      setGames((prev) => [...prev, { ...game, id, savedOnChain: false, txHash: null }]);
+      return id;
+    } catch (err) {
+      console.warn("Failed to store game history:", err);
+      return null;
+    }
+  };
+
+  const markSaved = async (id, txHash) => {
+    if (id === null) return;
+    try {
+      await markGameSaved(id, txHash);
+      setGames((prev) => prev.map((game) => (game.id === id ? { ...game, savedOnChain: true, txHash } : game)));
+    } catch (err) {
+      console.warn("Failed to update game history:", err);
+    }
+  };
+
+  return { games, record, markSaved };
+};
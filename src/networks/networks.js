@@ -0,0 +1,67 @@
+import { defineChain } from "viem";
+
+// Every chain the game can run on, with what the client needs for it: the
+// chain definition (RPC and explorer), the ERC-4337 bundler and paymaster,
+// and the WMON, reward and leaderboard contract addresses. Each value can be
+// overridden from the environment (see README "Networks").
+const env = import.meta.env;
+
+const monadTestnet = {
+  id: "monadTestnet",
+  label: "Monad Testnet",
+  chain: defineChain({
+    id: 10143,
+    name: "Monad Testnet",
+    nativeCurrency: { decimals: 18, name: "Monad", symbol: "MON" },
+    rpcUrls: { default: { http: [env.VITE_MONAD_RPC_URL || "https://testnet-rpc.monad.xyz"] } },
+    blockExplorers: { default: { name: "Monad Testnet Explorer", url: "https://testnet.monadexplorer.com" } },
+    testnet: true,
+  }),
+  bundlerUrl: env.VITE_PIMLICO_BUNDLER_URL,
+  // Optional gas sponsorship for score saves and claims
+  paymasterUrl: env.VITE_PAYMASTER_URL || "",
+  sponsorshipPolicyId: env.VITE_SPONSORSHIP_POLICY_ID || "",
+  wmonAddress: env.VITE_WMON_ADDRESS || "0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701",
+  rewardContractAddress: env.VITE_REWARD_CONTRACT_ADDRESS || "0xa2B98D710AB9c0BC5aA4d21552B343A297C83dFF",
+  // Reward-free leaderboard that practice scores can be submitted to
+  leaderboardContractAddress: env.VITE_LEADERBOARD_CONTRACT_ADDRESS || "",
+};
+
+// An Anvil or Hardhat node (both use chain 31337) with a local bundler, e.g.
+// Alto. Nothing is deployed there by default, so the addresses come from the
+// environment once the contracts are.
+const localDevnet = {
+  id: "local",
+  label: "Local Devnet",
+  chain: defineChain({
+    id: Number(env.VITE_LOCAL_CHAIN_ID || 31337),
+    name: "Local Devnet",
+    nativeCurrency: { decimals: 18, name: "Ether", symbol: "ETH" },
+    rpcUrls: { default: { http: [env.VITE_LOCAL_RPC_URL || "http://127.0.0.1:8545"] } },
+    testnet: true,
+  }),
+  bundlerUrl: env.VITE_LOCAL_BUNDLER_URL || "http://127.0.0.1:4337",
+  paymasterUrl: env.VITE_LOCAL_PAYMASTER_URL || "",
+  sponsorshipPolicyId: "",
+  wmonAddress: env.VITE_LOCAL_WMON_ADDRESS || "",
+  rewardContractAddress: env.VITE_LOCAL_REWARD_CONTRACT_ADDRESS || "",
+  leaderboardContractAddress: env.VITE_LOCAL_LEADERBOARD_CONTRACT_ADDRESS || "",
+};
+
+// The local devnet is only offered in development, or when asked for
+export const NETWORKS = [
+  monadTestnet,
+  ...(env.DEV || env.VITE_ENABLE_LOCAL_NETWORK === "true" ? [localDevnet] : []),
+];
+
+export const DEFAULT_NETWORK = NETWORKS.find((network) => network.id === env.VITE_DEFAULT_NETWORK) ?? monadTestnet;
+
+export const networkById = (id) => NETWORKS.find((network) => network.id === id) ?? null;
+
+export const networkByChainId = (chainId) => NETWORKS.find((network) => network.chain.id === chainId) ?? null;
+
+// Explorer page for a transaction, or null on a chain without an explorer
+export const explorerTxUrl = (network, hash) => {
+  const explorer = network.chain.blockExplorers?.default?.url;
+  return explorer && hash ? `${explorer}/tx/${hash}` : null;
+};
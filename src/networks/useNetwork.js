@@ -0,0 +1,35 @@
+import { useState } from "react";
+import { useAccount, useSwitchChain } from "wagmi";
+import { loadNetworkPreference, saveNetworkPreference } from "../storage/networkPreference.js";
+import { DEFAULT_NETWORK, networkByChainId, networkById } from "./networks.js";
+
+// The network the game runs on. It's picked in the app, not followed from the
+// wallet: when the connected wallet is on another chain, `wrongChain` is set
+// and `switchWallet` asks the wallet to move to the picked one.
+export const useNetwork = () => {
+  const [network, setNetwork] = useState(() => networkById(loadNetworkPreference()) ?? DEFAULT_NETWORK);
+  const { chainId, isConnected } = useAccount();
+  const { switchChainAsync, isPending: switching } = useSwitchChain();
+  const wrongChain = isConnected && chainId !== undefined && chainId !== network.chain.id;
+
+  const switchWallet = async (target = network) => {
+    try {
+      await switchChainAsync({ chainId: target.chain.id });
+      return true;
+    } catch (err) {
+      console.warn(`Failed to switch the wallet to ${target.label}:`, err);
+      return false;
+    }
+  };
+
+  // Picks `id` and, with a wallet connected, prompts it to follow
+  const selectNetwork = async (id) => {
+    const next = networkById(id);
+    if (!next || next.id === network.id) return;
+    setNetwork(next);
+    saveNetworkPreference(next.id);
+    if (isConnected) await switchWallet(next);
+  };
+
+  return { network, walletNetwork: networkByChainId(chainId), wrongChain, switching, selectNetwork, switchWallet };
+};
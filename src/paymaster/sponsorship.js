@@ -0,0 +1,51 @@
+import { createPaymasterClient } from "viem/account-abstraction";
+
+// Gas sponsorship through an ERC-7677 paymaster (e.g. Pimlico's, optionally
+// limited by a sponsorship policy). Each user operation is offered to the
+// paymaster first; one it turns down is sent as usual, paid by the account.
+export const createSponsorship = ({ transport, policyId = "" }) => {
+  const client = createPaymasterClient({ transport });
+  // Failures of the ERC-7677 calls (pm_getPaymasterStubData, pm_getPaymasterData)
+  // are the paymaster's by definition, so they're marked as such
+  const markFailure = (err) => {
+    throw Object.assign(err, { reason: "paymaster" });
+  };
+  const paymaster = {
+    getPaymasterStubData: (parameters) => client.getPaymasterStubData(parameters).catch(markFailure),
+    getPaymasterData: (parameters) => client.getPaymasterData(parameters).catch(markFailure),
+  };
+  const paymasterContext = policyId ? { sponsorshipPolicyId: policyId } : undefined;
+
+  return {
+    // Prepares `operation` with paymaster data, which is where the paymaster
+    // approves or rejects it. Resolves to the prepared operation, to be signed
+    // and sent as is, or null when the paymaster turns it down. Any other
+    // failure, such as a call that would revert or a network error, is thrown.
+    async sponsor(bundlerClient, operation) {
+      try {
+        return await bundlerClient.prepareUserOperation({ ...operation, paymaster, paymasterContext });
+      } catch (err) {
+        if (!isPaymasterError(err)) throw err;
+        console.warn("⚠️ Paymaster declined to sponsor the user operation:", err?.shortMessage || err?.message);
+        return null;
+      }
+    },
+  };
+};
+
+// ERC-4337 revert codes of the paymaster's checks: AA30-AA36 in validation,
+// AA50 in postOp
+const PAYMASTER_REVERT_CODE = /\bAA(3\d|50)\b/i;
+// Bundler JSON-RPC codes (ERC-7769): rejected by the paymaster, paymaster
+// throttled or banned, paymaster stake too low
+const PAYMASTER_RPC_CODES = new Set([-32501, -32504, -32505]);
+
+// Whether a failed user operation failed on the paymaster's side. viem wraps
+// bundler errors, so the whole cause chain is checked.
+export const isPaymasterError = (error) => {
+  for (let err = error; err; err = err.cause) {
+    if (err.reason === "paymaster" || PAYMASTER_RPC_CODES.has(err.code)) return true;
+    if (PAYMASTER_REVERT_CODE.test(`${err.shortMessage || ""} ${err.details || ""} ${err.message || ""}`)) return true;
+  }
+  return false;
+};
@@ -0,0 +1,237 @@
+import { POP_DURATION } from "../game/engine.js";
+import { OBJECT_TYPES } from "../game/objectTypes.js";
+
+// Glow drawn behind special objects; ego objects have none
+const TYPE_GLOW = {
+  bomb: "rgba(239, 68, 68, 0.9)",
+  golden: "rgba(255, 215, 0, 0.9)",
+  clock: "rgba(59, 130, 246, 0.9)",
+  freeze: "rgba(103, 232, 249, 0.9)",
+};
+
+const POINTS_COLOR = "#fbbf24";
+const NEGATIVE_POINTS_COLOR = "#f87171";
+
+// High-contrast outlines, from the colourblind-safe Okabe-Ito palette.
+// Bombs are also dashed so they never depend on colour alone.
+const CONTRAST_OUTLINE = {
+  ego: { color: "#ffffff", dash: [] },
+  bomb: { color: "#D55E00", dash: [4, 3] },
+  golden: { color: "#F0E442", dash: [] },
+  clock: { color: "#56B4E9", dash: [] },
+  freeze: { color: "#009E73", dash: [] },
+};
+const CONTRAST_POINTS_COLOR = "#ffffff";
+const CONTRAST_NEGATIVE_POINTS_COLOR = "#F0E442";
+
+const GRID_LINE_COLOR = "rgba(255, 255, 255, 0.25)";
+const GRID_CURSOR_COLOR = "rgba(251, 191, 36, 0.9)";
+
+const GHOST_COLOR = "#e9d5ff";
+// How long a ghost's bust marker lingers
+const GHOST_MARKER_MS = 400;
+
+// Small sprites (glows, markers) are rasterised once and re-used every frame,
+// gradients and emoji text being the slowest things a 2D canvas can draw.
+const createSpriteCache = () => {
+  const sprites = new Map();
+  return (key, size, paint) => {
+    const cacheKey = `${key}@${size}`;
+    if (!sprites.has(cacheKey)) {
+      const canvas = document.createElement("canvas");
+      canvas.width = canvas.height = size;
+      paint(canvas.getContext("2d"), size);
+      sprites.set(cacheKey, canvas);
+    }
+    return sprites.get(cacheKey);
+  };
+};
+
+const paintGlow = (color) => (ctx, size) => {
+  const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  gradient.addColorStop(0.35, color);
+  gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+};
+
+const paintMarker = (marker) => (ctx, size) => {
+  ctx.font = `${Math.floor(size * 0.8)}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(marker, size / 2, size / 2);
+};
+
+// How a busted object animates away; `p` runs from 0 to 1.
+// Skin packs pick one of these per object type.
+export const POP_EFFECTS = {
+  burst: (p) => ({ scale: p < 0.5 ? 1 + p * 1.6 : 1.8 - (p - 0.5) * 3, rotate: 0, lift: 0, alpha: 1 - p }),
+  blast: (p) => ({ scale: p < 0.4 ? 1 + (p / 0.4) * 1.2 : 2.2 - ((p - 0.4) / 0.6) * 2, rotate: p < 0.4 ? p * 0.65 : -0.35 * p, lift: 0, alpha: 1 - p }),
+  spin: (p) => ({ scale: p < 0.5 ? 1 + p * 2 : 2 - (p - 0.5) * 4, rotate: p * Math.PI * 2, lift: 0, alpha: p < 0.5 ? 1 : 2 - p * 2 }),
+  float: (p) => ({ scale: 1 + p * 0.4, rotate: 0, lift: p * 30, alpha: 1 - p }),
+  fade: (p) => ({ scale: 1 - p * 0.2, rotate: 0, lift: 0, alpha: 1 - p }),
+};
+
+export const DEFAULT_POP_EFFECTS = { ego: "burst", bomb: "blast", golden: "spin", clock: "float", freeze: "float" };
+
+// With reduced motion every pop just fades where it is
+const REDUCED_MOTION_POP = (p) => ({ scale: 1, rotate: 0, lift: 0, alpha: 1 - p });
+
+// Draws game snapshots onto a canvas on every animation frame while started,
+// or once on `redraw`. `getFrame` returns the snapshot to draw (or null) and
+// `getView(frame)` how to draw it: { scale, objectSize, paused, pops, highContrast, reducedMotion, grid,
+// ghostBusts }, where `scale` maps field units to CSS pixels, `pops` names the
+// pop effect for each object type, `grid` ({ size, cursor, width, height }) is
+// the keyboard grid to overlay, if any, and `ghostBusts` ({ x, y, age }) are
+// the recent busts of a ghost run being raced.
+export const createCanvasRenderer = ({ canvas, atlas, getFrame, getView }) => {
+  const ctx = canvas.getContext("2d");
+  const sprite = createSpriteCache();
+  let frameId = null;
+  let pixelRatio = 1;
+
+  const resize = () => {
+    pixelRatio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * pixelRatio);
+    const height = Math.round(canvas.clientHeight * pixelRatio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+  };
+
+  const drawObject = (obj, size, unit, highContrast) => {
+    const glow = TYPE_GLOW[obj.type];
+    if (highContrast) {
+      const outline = CONTRAST_OUTLINE[obj.type] ?? CONTRAST_OUTLINE.ego;
+      ctx.save();
+      ctx.strokeStyle = outline.color;
+      ctx.lineWidth = 3;
+      ctx.setLineDash(outline.dash);
+      ctx.strokeRect(obj.x - 2, obj.y - 2, size + 4, size + 4);
+      ctx.restore();
+    } else if (glow) {
+      const glowSize = size * 1.6;
+      const offset = (glowSize - size) / 2;
+      ctx.drawImage(sprite(`glow-${obj.type}`, Math.ceil(glowSize * unit), paintGlow(glow)), obj.x - offset, obj.y - offset, glowSize, glowSize);
+    }
+    atlas?.draw(ctx, obj.image, obj.x, obj.y, size);
+  };
+
+  const drawMarker = (obj, size, unit) => {
+    const marker = OBJECT_TYPES[obj.type]?.marker;
+    if (!marker) return;
+    const markerSize = size * 0.45;
+    ctx.drawImage(sprite(`marker-${obj.type}`, Math.ceil(markerSize * unit), paintMarker(marker)), obj.x + size - markerSize / 2, obj.y - markerSize / 2, markerSize, markerSize);
+  };
+
+  const drawPop = (pop, time, size, effects, { highContrast, reducedMotion }) => {
+    const p = Math.min(1, Math.max(0, (time - pop.at) / POP_DURATION));
+    const effect = reducedMotion
+      ? REDUCED_MOTION_POP
+      : POP_EFFECTS[effects[pop.type] ?? DEFAULT_POP_EFFECTS[pop.type]] ?? POP_EFFECTS.burst;
+    const { scale, rotate, lift, alpha } = effect(p);
+    if (alpha <= 0 || scale <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha *= alpha;
+    ctx.translate(pop.x + size / 2, pop.y + size / 2 - lift);
+    ctx.rotate(rotate);
+    ctx.scale(scale, scale);
+    atlas?.draw(ctx, pop.image, -size / 2, -size / 2, size);
+    ctx.restore();
+
+    if (pop.points) {
+      ctx.save();
+      ctx.globalAlpha *= 1 - p;
+      if (highContrast) {
+        ctx.fillStyle = pop.points < 0 ? CONTRAST_NEGATIVE_POINTS_COLOR : CONTRAST_POINTS_COLOR;
+      } else {
+        ctx.fillStyle = pop.points < 0 ? NEGATIVE_POINTS_COLOR : POINTS_COLOR;
+      }
+      ctx.font = `bold ${Math.round(size * 0.37)}px sans-serif`;
+      ctx.textBaseline = "top";
+      ctx.fillText(pop.points > 0 ? `+${pop.points}` : `${pop.points}`, pop.x, pop.y - (reducedMotion ? 0 : p * 30));
+      ctx.restore();
+    }
+  };
+
+  const drawGrid = ({ size, cursor, width, height }, unit) => {
+    const cellWidth = width / size;
+    const cellHeight = height / size;
+    ctx.save();
+    ctx.lineWidth = 1 / unit;
+    ctx.strokeStyle = GRID_LINE_COLOR;
+    ctx.beginPath();
+    for (let i = 1; i < size; i++) {
+      ctx.moveTo(i * cellWidth, 0);
+      ctx.lineTo(i * cellWidth, height);
+      ctx.moveTo(0, i * cellHeight);
+      ctx.lineTo(width, i * cellHeight);
+    }
+    ctx.stroke();
+    ctx.lineWidth = 3 / unit;
+    ctx.strokeStyle = GRID_CURSOR_COLOR;
+    ctx.strokeRect((cursor % size) * cellWidth, Math.floor(cursor / size) * cellHeight, cellWidth, cellHeight);
+    ctx.font = `bold ${Math.round(cellHeight * 0.12)}px sans-serif`;
+    ctx.fillStyle = GRID_LINE_COLOR;
+    ctx.textBaseline = "top";
+    for (let cell = 0; cell < size * size; cell++) {
+      ctx.fillText(`${cell + 1}`, (cell % size) * cellWidth + 4, Math.floor(cell / size) * cellHeight + 4);
+    }
+    ctx.restore();
+  };
+
+  // A faint ring where the ghost busted something, widening as it fades
+  const drawGhostBust = ({ x, y, age }, size, unit, reducedMotion) => {
+    const p = Math.min(1, age / GHOST_MARKER_MS);
+    ctx.save();
+    ctx.globalAlpha *= 0.5 * (1 - p);
+    ctx.strokeStyle = GHOST_COLOR;
+    ctx.lineWidth = 2 / unit;
+    ctx.beginPath();
+    ctx.arc(x, y, (size / 2) * (reducedMotion ? 1 : 0.6 + p * 0.6), 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  };
+
+  const draw = () => {
+    resize();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const frame = getFrame();
+    if (!frame) return;
+    const view = getView(frame);
+    const { scale, objectSize, paused, pops = DEFAULT_POP_EFFECTS, highContrast = false, reducedMotion = false, grid = null, ghostBusts = [] } = view;
+    // Draw in field units; `unit` is how many device pixels one of them covers
+    const unit = scale * pixelRatio;
+    ctx.setTransform(unit, 0, 0, unit, 0, 0);
+    ctx.globalAlpha = paused ? 0.5 : 1;
+
+    if (grid) drawGrid(grid, unit);
+    ghostBusts.forEach((bust) => drawGhostBust(bust, objectSize, unit, reducedMotion));
+    frame.objects.forEach((obj) => drawObject(obj, objectSize, unit, highContrast));
+    frame.objects.forEach((obj) => drawMarker(obj, objectSize, unit));
+    frame.pops.forEach((pop) => drawPop(pop, frame.time, objectSize, pops, view));
+  };
+
+  const loop = () => {
+    frameId = requestAnimationFrame(loop);
+    draw();
+  };
+
+  return {
+    start() {
+      if (frameId === null) frameId = requestAnimationFrame(loop);
+    },
+    stop() {
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      frameId = null;
+    },
+    redraw: draw,
+    setAtlas(next) {
+      atlas = next;
+    },
+  };
+};
@@ -0,0 +1,139 @@
+// Sprite Atlas
+// Object images are packed into sprite sheets at build time
+// (scripts/build-atlas.js); this loads the manifest and sheets and blits
+// sprites out of them. A pack added after the build has no prebuilt sheets,
+// so its images are packed in the browser instead.
+
+// Large enough for a popped object at full size on a 3x display
+export const CELL_SIZE = 128;
+// Keeps every sheet within the texture size low-end mobile GPUs accept
+export const MAX_SHEET_SIZE = 2048;
+// Images requested at once while looking for the end of a pack's numbering
+const PROBE_BATCH = 16;
+
+// Dev servers and SPA hosts answer a missing file with index.html, so the
+// content type is checked as well as the status
+const isContent = (response, type) => response.ok && (response.headers.get("content-type") || "").startsWith(type);
+
+// Download a sheet, reporting bytes as they arrive
+const fetchSheet = async (sheet, onBytes) => {
+  const response = await fetch(sheet.url);
+  if (!response.ok) throw new Error(`Failed to load sprite sheet ${sheet.url} (${response.status})`);
+
+  let blob;
+  if (response.body) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      onBytes(value.byteLength);
+    }
+    blob = new Blob(chunks, { type: "image/png" });
+  } else {
+    blob = await response.blob();
+    onBytes(blob.size);
+  }
+  return createImageBitmap(blob);
+};
+
+// `onProgress` receives a 0..1 fraction of the sheet bytes downloaded so far
+export const loadSpriteAtlas = async ({ manifestUrl, onProgress = () => {} }) => {
+  const response = await fetch(manifestUrl);
+  if (!isContent(response, "application/json")) {
+    const status = response.ok ? 404 : response.status;
+    throw Object.assign(new Error(`Failed to load sprite manifest (${status}). Run "npm run atlas" first.`), { status });
+  }
+  const manifest = await response.json();
+
+  const totalBytes = manifest.sheets.reduce((sum, sheet) => sum + sheet.bytes, 0) || 1;
+  let loadedBytes = 0;
+  onProgress(0);
+  const sheets = await Promise.all(
+    manifest.sheets.map((sheet) =>
+      fetchSheet(sheet, (bytes) => {
+        loadedBytes += bytes;
+        onProgress(Math.min(1, loadedBytes / totalBytes));
+      })
+    )
+  );
+  onProgress(1);
+
+  return createAtlas({ cellSize: manifest.cellSize, sprites: manifest.sprites, sheets });
+};
+
+const createAtlas = ({ cellSize, sprites, sheets }) => ({
+  count: sprites.length,
+  draw(target, index, x, y, size) {
+    // Replays recorded with another skin may use indices past this one's count
+    const sprite = sprites[index % sprites.length];
+    if (!sprite) return;
+    target.drawImage(sheets[sprite.sheet], sprite.x, sprite.y, cellSize, cellSize, x, y, size, size);
+  },
+});
+
+const fetchImage = async (url) => {
+  try {
+    const response = await fetch(url);
+    return isContent(response, "image/") ? await createImageBitmap(await response.blob()) : null;
+  } catch {
+    return null;
+  }
+};
+
+// 0.png, 1.png, … up to the first one missing, as there is no listing of the folder
+const fetchNumberedImages = async (imagesUrl) => {
+  const images = [];
+  for (;;) {
+    const batch = await Promise.all(Array.from({ length: PROBE_BATCH }, (_, i) => fetchImage(`${imagesUrl}/${images.length + i}.png`)));
+    const end = batch.indexOf(null);
+    images.push(...(end === -1 ? batch : batch.slice(0, end)));
+    if (end !== -1) {
+      batch.slice(end).forEach((image) => image?.close());
+      return images;
+    }
+  }
+};
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Same layout as scripts/build-atlas.js: cells fitted like object-fit: contain,
+// filled row by row, a new sheet whenever one is full
+export const buildSpriteAtlas = async ({ imagesUrl, onProgress = () => {} }) => {
+  onProgress(0);
+  const images = await fetchNumberedImages(imagesUrl);
+  if (images.length === 0) throw new Error(`No images found in ${imagesUrl}`);
+
+  const columns = Math.min(images.length, Math.floor(MAX_SHEET_SIZE / CELL_SIZE));
+  const perSheet = columns * Math.floor(MAX_SHEET_SIZE / CELL_SIZE);
+  const sheets = [];
+  const sprites = [];
+  for (let start = 0; start < images.length; start += perSheet) {
+    const batch = images.slice(start, start + perSheet);
+    const sheet = createCanvas(columns * CELL_SIZE, Math.ceil(batch.length / columns) * CELL_SIZE);
+    const ctx = sheet.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+
+    batch.forEach((image, i) => {
+      const x = (i % columns) * CELL_SIZE;
+      const y = Math.floor(i / columns) * CELL_SIZE;
+      const fit = CELL_SIZE / Math.max(image.width, image.height);
+      const width = image.width * fit;
+      const height = image.height * fit;
+      ctx.drawImage(image, x + (CELL_SIZE - width) / 2, y + (CELL_SIZE - height) / 2, width, height);
+      image.close();
+      sprites.push({ sheet: sheets.length, x, y });
+    });
+    sheets.push(sheet);
+  }
+  onProgress(1);
+
+  return createAtlas({ cellSize: CELL_SIZE, sprites, sheets });
+};
@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useRef } from "react";
+import { createCanvasRenderer } from "./canvasRenderer.js";
+
+// React binding for the canvas renderer. Returns a ref callback for the
+// <canvas>. While `running` drawing runs on requestAnimationFrame and never
+// re-renders React; otherwise the canvas is drawn once after each render, so
+// an idle or paused field costs nothing between renders. `getFrame` and
+// `getView` are read fresh on every draw.
+export const useGameCanvas = ({ atlas, running, getFrame, getView }) => {
+  const rendererRef = useRef(null);
+  const atlasRef = useRef(atlas);
+  const runningRef = useRef(running);
+  const sourcesRef = useRef({ getFrame, getView });
+  sourcesRef.current = { getFrame, getView };
+  runningRef.current = running;
+
+  useEffect(() => {
+    atlasRef.current = atlas;
+    rendererRef.current?.setAtlas(atlas);
+  }, [atlas]);
+
+  useEffect(() => {
+    if (running) rendererRef.current?.start();
+    else rendererRef.current?.stop();
+  }, [running]);
+
+  // Every render, as whatever the idle canvas shows may have changed
+  useEffect(() => {
+    if (!running) rendererRef.current?.redraw();
+  });
+
+  return useCallback((canvas) => {
+    rendererRef.current?.stop();
+    rendererRef.current = null;
+    if (!canvas) return;
+
+    const renderer = createCanvasRenderer({
+      canvas,
+      atlas: atlasRef.current,
+      getFrame: () => sourcesRef.current.getFrame(),
+      getView: (frame) => sourcesRef.current.getView(frame),
+    });
+    if (runningRef.current) renderer.start();
+    else renderer.redraw();
+    rendererRef.current = renderer;
+  }, []);
+};
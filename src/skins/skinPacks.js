@@ -0,0 +1,80 @@
+import { DEFAULT_POP_EFFECTS, POP_EFFECTS } from "../render/canvasRenderer.js";
+import { buildSpriteAtlas, loadSpriteAtlas } from "../render/spriteAtlas.js";
+
+// Skin Packs
+// A pack is a folder under public/skins/ with a skin.json manifest:
+//   name        shown in the skin picker
+//   images      folder of numbered PNGs, packed into public/atlas/<id>/ at build
+//               time, or in the browser for a pack added since the last build
+//   pops        pop effect per object type (see POP_EFFECTS)
+//   background  { color, image } for the game area
+//   sounds      sound URL per game event
+// Packs are listed in public/skins/index.json; adding one needs no code change.
+export const SKIN_INDEX_URL = "/skins/index.json";
+export const DEFAULT_SKIN = "classic";
+
+const fetchJson = async (url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url} (${res.status})`);
+  return res.json();
+};
+
+const skinUrl = (id, file) => `/skins/${id}/${file}`;
+
+// Paths in a manifest are relative to the pack's folder unless absolute
+const resolveAsset = (id, asset) =>
+  !asset ? null : /^(\/|https?:)/.test(asset) ? asset : skinUrl(id, asset);
+
+const parsePops = (pops = {}) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_POP_EFFECTS).map(([type, fallback]) => [type, POP_EFFECTS[pops[type]] ? pops[type] : fallback])
+  );
+
+const parseSkin = (id, data) => {
+  if (data.version !== 1) throw new Error(`Skin pack "${id}" has unsupported version ${data.version}`);
+  return {
+    id,
+    name: typeof data.name === "string" ? data.name : id,
+    images: typeof data.images === "string" ? resolveAsset(id, data.images.replace(/\/$/, "")) : null,
+    pops: parsePops(data.pops),
+    background: {
+      color: data.background?.color || null,
+      image: resolveAsset(id, data.background?.image),
+    },
+    sounds: Object.fromEntries(Object.entries(data.sounds || {}).map(([event, url]) => [event, resolveAsset(id, url)])),
+  };
+};
+
+// Every pack's name, for the picker; packs that fail to load are left out
+export const loadSkinIndex = async () => {
+  const { packs = [] } = await fetchJson(SKIN_INDEX_URL);
+  const skins = await Promise.all(
+    packs.map((id) =>
+      fetchJson(skinUrl(id, "skin.json"))
+        .then((data) => parseSkin(id, data))
+        .catch((err) => {
+          console.warn(`Skipping skin pack "${id}":`, err);
+          return null;
+        })
+    )
+  );
+  return skins.filter(Boolean);
+};
+
+// Load a pack's manifest and sprite sheets; `onProgress` reports the sheets' 0..1 download
+export const loadSkinPack = async (id, { onProgress } = {}) => {
+  const skin = parseSkin(id, await fetchJson(skinUrl(id, "skin.json")));
+  const atlas = await loadSpriteAtlas({ manifestUrl: `/atlas/${id}/manifest.json`, onProgress }).catch((err) => {
+    if (err.status !== 404 || !skin.images) throw err;
+    console.warn(`⚠️ No prebuilt atlas for skin pack "${id}", packing its images in the browser`);
+    return buildSpriteAtlas({ imagesUrl: skin.images, onProgress });
+  });
+  return { ...skin, atlas };
+};
+
+// CSS background for the game area, or undefined to keep the stylesheet's
+export const skinBackground = (skin) => {
+  if (!skin) return undefined;
+  const layers = [skin.background.image && `center / cover no-repeat url("${skin.background.image}")`, skin.background.color].filter(Boolean);
+  return layers.length > 0 ? layers.join(", ") : undefined;
+};
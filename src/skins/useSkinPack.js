@@ -0,0 +1,42 @@
+import { useEffect, useState } from "react";
+import { DEFAULT_SKIN, loadSkinIndex, loadSkinPack } from "./skinPacks.js";
+
+// Loads the skin pack `id` (and the list of packs for the picker). `skin` keeps
+// the previous pack until the new one's sprites have arrived, so `ready` is
+// false while a pack is loading. A pack that fails falls back to the default.
+export const useSkinPack = (id) => {
+  const [skins, setSkins] = useState([]);
+  const [skin, setSkin] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadSkinIndex()
+      .then(setSkins)
+      .catch((err) => console.warn("Failed to load skin packs:", err));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    setProgress(0);
+    setLoading(true);
+    // Rounded so a stream of small chunks doesn't re-render on every one
+    const onProgress = (value) => !cancelled && setProgress(Math.floor(value * 100) / 100);
+    loadSkinPack(id, { onProgress })
+      .catch((err) => {
+        console.error(`❌ Failed to load skin pack "${id}":`, err);
+        if (id === DEFAULT_SKIN) throw err;
+        return loadSkinPack(DEFAULT_SKIN, { onProgress });
+      })
+      .then((loaded) => !cancelled && setSkin(loaded))
+      .catch((err) => !cancelled && setError(err))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return { skins, skin, atlas: skin?.atlas ?? null, progress, error, ready: skin !== null && !loading };
+};
@@ -0,0 +1,24 @@
+// Accessibility settings, kept on this device.
+// `reducedMotion: null` follows the system's prefers-reduced-motion setting.
+const STORAGE_KEY = "egoBust.accessibility";
+
+export const DEFAULT_ACCESSIBILITY_SETTINGS = Object.freeze({ highContrast: false, reducedMotion: null });
+
+export const loadAccessibilitySettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...stored };
+  } catch (err) {
+    console.warn("Failed to read accessibility settings:", err);
+    return { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+  }
+};
+
+export const saveAccessibilitySettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Failed to store accessibility settings:", err);
+  }
+  return settings;
+};
@@ -0,0 +1,27 @@
+// Unlocked achievements and the counters behind them, per smart account.
+// Practice without a wallet is tracked under "guest".
+const STORAGE_PREFIX = "egoBust.achievements.";
+
+export const GUEST_ACCOUNT = "guest";
+
+const storageKey = (account) => `${STORAGE_PREFIX}${(account || GUEST_ACCOUNT).toLowerCase()}`;
+
+const emptyProgress = () => ({ unlocked: {}, counters: {} });
+
+export const loadAchievementProgress = (account) => {
+  try {
+    const progress = JSON.parse(localStorage.getItem(storageKey(account)) || "null");
+    return progress && typeof progress === "object" ? { ...emptyProgress(), ...progress } : emptyProgress();
+  } catch (err) {
+    console.warn("Failed to read achievements:", err);
+    return emptyProgress();
+  }
+};
+
+export const saveAchievementProgress = (account, progress) => {
+  try {
+    localStorage.setItem(storageKey(account), JSON.stringify(progress));
+  } catch (err) {
+    console.warn("Failed to store achievements:", err);
+  }
+};
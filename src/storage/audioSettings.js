@@ -0,0 +1,23 @@
+// Volume and mute settings, kept on this device
+const STORAGE_KEY = "egoBust.audio";
+
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({ volume: 0.7, muted: false, music: false });
+
+export const loadAudioSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return { ...DEFAULT_AUDIO_SETTINGS, ...stored };
+  } catch (err) {
+    console.warn("Failed to read audio settings:", err);
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+};
+
+export const saveAudioSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Failed to store audio settings:", err);
+  }
+  return settings;
+};
@@ -0,0 +1,27 @@
+// Scores from custom rulesets, keyed by their challenge code. They are only
+// ever kept on this device and never submitted to a contract.
+const STORAGE_KEY = "egoBust.customScores";
+const MAX_ENTRIES = 200;
+
+export const loadCustomScores = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn("Failed to read custom scores:", err);
+    return [];
+  }
+};
+
+export const addCustomScore = (entry) => {
+  const entries = [...loadCustomScores(), { playedAt: Date.now(), ...entry }].slice(-MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn("Failed to store custom score:", err);
+  }
+  return entries;
+};
+
+export const bestCustomScore = (entries, code) =>
+  entries.filter((entry) => entry.code === code).reduce((best, entry) => Math.max(best, entry.score), 0);
@@ -0,0 +1,43 @@
+import { shiftChallengeId } from "../game/daily.js";
+
+// Daily challenge runs played on this device, practice or not
+const STORAGE_KEY = "egoBust.dailyResults";
+const MAX_ENTRIES = 500;
+
+export const loadDailyResults = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn("Failed to read daily challenge results:", err);
+    return [];
+  }
+};
+
+export const addDailyResult = (entry) => {
+  const entries = [...loadDailyResults(), { playedAt: Date.now(), ...entry }].slice(-MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn("Failed to store daily challenge result:", err);
+  }
+  return entries;
+};
+
+// Consecutive days played, ending today — or yesterday, so a streak isn't
+// shown as broken before today's challenge has been played
+export const dailyStreak = (entries, today) => {
+  const days = new Set(entries.map((entry) => entry.challenge));
+  let day = days.has(today) ? today : shiftChallengeId(today, -1);
+  let streak = 0;
+  while (days.has(day)) {
+    streak++;
+    day = shiftChallengeId(day, -1);
+  }
+  return streak;
+};
+
+// This device's runs of one challenge, best first. Other players' runs are
+// never stored here, so this is no leaderboard.
+export const dailyRuns = (entries, challenge) =>
+  entries.filter((entry) => entry.challenge === challenge).sort((a, b) => b.score - a.score);
@@ -0,0 +1,64 @@
+// Every finished game, kept in IndexedDB per smart account (or "guest" for
+// practice without a wallet). localStorage would run out of room long before
+// a regular player's history does.
+const DB_NAME = "egoBust";
+const DB_VERSION = 1;
+const STORE = "games";
+
+const GUEST_ACCOUNT = "guest";
+
+const accountKey = (account) => (account || GUEST_ACCOUNT).toLowerCase();
+
+let dbPromise = null;
+
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("account", "account");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((err) => {
+    // Let the next call try again (e.g. after the user unblocks storage)
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+};
+
+const run = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// `game`: { playedAt, mode, difficulty, score, accuracy, hits, misses, maxCombo, practice, daily }.
+// Resolves to the new record's id.
+export const addGameRecord = (account, game) =>
+  run("readwrite", (store) => store.add({ ...game, account: accountKey(account), savedOnChain: false, txHash: null }));
+
+// The account's games, oldest first
+export const loadGameHistory = async (account) => {
+  const games = await run("readonly", (store) => store.index("account").getAll(accountKey(account)));
+  return games.sort((a, b) => a.playedAt - b.playedAt);
+};
+
+export const markGameSaved = (id, txHash) =>
+  run("readwrite", (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, savedOnChain: true, txHash });
+    };
+    return request;
+  });
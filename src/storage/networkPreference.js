@@ -0,0 +1,20 @@
+// The network picked in the menu, kept on this device
+const STORAGE_KEY = "egoBust.network";
+
+export const loadNetworkPreference = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn("Failed to read network preference:", err);
+    return null;
+  }
+};
+
+export const saveNetworkPreference = (id) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (err) {
+    console.warn("Failed to store network preference:", err);
+  }
+  return id;
+};
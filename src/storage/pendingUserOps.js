@@ -0,0 +1,34 @@
+// User operations sent but not yet settled, kept so a reload mid-save picks
+// up tracking them again (see userOps/userOpService.js). Entries are
+// { hash, kind, chainId, account, sponsored, meta, submittedAt }.
+const STORAGE_KEY = "egoBust.pendingUserOps";
+
+export const loadPendingUserOps = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn("Failed to read pending user operations:", err);
+    return [];
+  }
+};
+
+const storePendingUserOps = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn("Failed to store pending user operations:", err);
+  }
+  return entries;
+};
+
+export const addPendingUserOp = (entry) =>
+  storePendingUserOps([...loadPendingUserOps().filter((op) => op.hash !== entry.hash), entry]);
+
+// Returns the remaining entries, or null when `hash` wasn't pending (e.g.
+// another tab or tracker settled it first)
+export const removePendingUserOp = (hash) => {
+  const entries = loadPendingUserOps();
+  if (!entries.some((op) => op.hash === hash)) return null;
+  return storePendingUserOps(entries.filter((op) => op.hash !== hash));
+};
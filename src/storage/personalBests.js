@@ -0,0 +1,36 @@
+import { serializeReplay } from "../game/replay.js";
+
+// The replay of the best run for each mode and difficulty, raced as a ghost.
+// Daily challenges and custom rulesets share a mode and difficulty with other
+// games, so their bests are kept apart by a `variant`: the daily challenge id
+// or the custom challenge code.
+const STORAGE_KEY = "egoBust.personalBests";
+
+const bestKey = ({ mode, difficulty }, variant) => (variant ? `${mode}:${difficulty}:${variant}` : `${mode}:${difficulty}`);
+
+const loadPersonalBests = () => {
+  try {
+    const bests = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return bests && typeof bests === "object" ? bests : {};
+  } catch (err) {
+    console.warn("Failed to read personal bests:", err);
+    return {};
+  }
+};
+
+// Serialized replay (see parseReplay) of the best run with these rules, if any
+export const loadPersonalBest = (rules, variant = null) => loadPersonalBests()[bestKey(rules, variant)]?.replay ?? null;
+
+// Keep `replay` if it beat the stored best; returns whether it did
+export const recordPersonalBest = (replay, score, variant = null) => {
+  const bests = loadPersonalBests();
+  const key = bestKey(replay.rules, variant);
+  if (bests[key] && bests[key].score >= score) return false;
+  bests[key] = { score, replay: serializeReplay(replay, score) };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bests));
+  } catch (err) {
+    console.warn("Failed to store personal best:", err);
+  }
+  return true;
+};
@@ -0,0 +1,36 @@
+// Practice runs are played without a wallet and only ever stored on this
+// device. They are never eligible for on-chain rewards.
+const STORAGE_KEY = "egoBust.practiceScores";
+const MAX_ENTRIES = 200;
+
+export const loadPracticeScores = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn("Failed to read practice scores:", err);
+    return [];
+  }
+};
+
+const storePracticeScores = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(-MAX_ENTRIES)));
+  } catch (err) {
+    console.warn("Failed to store practice scores:", err);
+  }
+  return entries.slice(-MAX_ENTRIES);
+};
+
+export const addPracticeScore = (entry) =>
+  storePracticeScores([
+    ...loadPracticeScores(),
+    { id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`, playedAt: Date.now(), submittedBy: null, ...entry },
+  ]);
+
+export const bestPracticeScore = (entries) =>
+  entries.reduce((best, entry) => (!best || entry.score > best.score ? entry : best), null);
+
+// Record which wallet submitted this run to the leaderboard contract
+export const markPracticeScoreSubmitted = (id, player) =>
+  storePracticeScores(loadPracticeScores().map((entry) => (entry.id === id ? { ...entry, submittedBy: player } : entry)));
@@ -0,0 +1,24 @@
+// Scores that were saved on-chain, kept locally with the details the
+// contract doesn't store (difficulty) so leaderboards can be split by them.
+const STORAGE_KEY = "egoBust.savedScores";
+const MAX_ENTRIES = 500;
+
+export const loadSavedScores = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn("Failed to read saved scores:", err);
+    return [];
+  }
+};
+
+export const addSavedScore = (entry) => {
+  const entries = [...loadSavedScores(), { ...entry, savedAt: entry.savedAt ?? Date.now() }].slice(-MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn("Failed to store saved score:", err);
+  }
+  return entries;
+};
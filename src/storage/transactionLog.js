@@ -0,0 +1,34 @@
+// Transactions sent from this device, for the History tab (see
+// transactions/transactionHistory.js). Entries are keyed by `id`: the user
+// operation hash for Smart Account transactions, the transaction hash for
+// ones sent by the main wallet.
+const STORAGE_KEY = "egoBust.transactions";
+const MAX_ENTRIES = 300;
+
+export const loadTransactionLog = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn("Failed to read transaction log:", err);
+    return [];
+  }
+};
+
+const storeTransactionLog = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(-MAX_ENTRIES)));
+  } catch (err) {
+    console.warn("Failed to store transaction log:", err);
+  }
+  return entries.slice(-MAX_ENTRIES);
+};
+
+export const logTransaction = (entry) =>
+  storeTransactionLog([
+    ...loadTransactionLog().filter((existing) => existing.id !== entry.id),
+    { hash: null, userOpHash: null, status: "pending", gasPaid: null, sponsored: false, blockNumber: null, details: {}, timestamp: Date.now(), ...entry },
+  ]);
+
+export const updateTransaction = (id, changes) =>
+  storeTransactionLog(loadTransactionLog().map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
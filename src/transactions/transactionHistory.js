@@ -0,0 +1,188 @@
+import { parseAbiItem } from "viem";
+import LEADERBOARD_ABI from "../abi/EgoBustLeaderboard.json";
+import VERIFIED_REWARDS_ABI from "../abi/EgoBustVerifiedRewards.json";
+import { loadTransactionLog, updateTransaction } from "../storage/transactionLog.js";
+
+// Transaction History
+// The History tab merges two sources:
+//   the local log    everything sent from this device (storage/transactionLog.js),
+//                    including native MON transfers and auto-fills, which
+//                    leave no events behind
+//   on-chain events  recent score and WMON Transfer events of the main
+//                    wallet and the Smart Account, which also cover other
+//                    devices; WMON sent by the reward contract is a claim.
+//                    Scores show from the leaderboard contract's ScoreSaved
+//                    and the voucher reward contract's ScoreVerified; the
+//                    baseline reward contract's addScore emits nothing, so
+//                    its saves only show from the local log.
+// Receipts fill in the status, block and gas paid of logged transactions.
+
+export const TRANSACTION_KINDS = {
+  scoreSave: { label: "Score save", icon: "💾" },
+  claim: { label: "Reward claim", icon: "🎁" },
+  autoFill: { label: "Auto-fill", icon: "🤖" },
+  transfer: { label: "Transfer", icon: "🔄" },
+  practiceSubmit: { label: "Practice score", icon: "📤" },
+};
+
+// "dropped" is a user operation that never settled (see userOps/userOpService.js)
+export const TRANSACTION_STATUSES = { pending: "⏳ Pending", confirmed: "✅ Confirmed", failed: "❌ Failed", dropped: "⚠️ Dropped" };
+
+// How far back event queries look, how many blocks one eth_getLogs call may
+// span (public RPCs cap the range) and how many calls run at once
+const EVENT_LOOKBACK_BLOCKS = 10000n;
+const LOG_CHUNK_BLOCKS = 1000n;
+const MAX_LOG_REQUESTS = 6;
+
+const TRANSFER_EVENT = parseAbiItem("event Transfer(address indexed from, address indexed to, uint256 value)");
+const SCORE_SAVED_EVENT = LEADERBOARD_ABI.find((item) => item.type === "event" && item.name === "ScoreSaved");
+const SCORE_VERIFIED_EVENT = VERIFIED_REWARDS_ABI.find((item) => item.type === "event" && item.name === "ScoreVerified");
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Which of the player's accounts `address` is: "main", "smart" or null
+const walletOf = (address, { main, smart }) => (sameAddress(address, main) ? "main" : sameAddress(address, smart) ? "smart" : null);
+
+// Runs `tasks` (functions returning promises) with at most `limit` of them
+// in flight. Resolves to their results, in order.
+const runLimited = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+};
+
+// The logs of each of the named `queries` over the lookback window, under the
+// same names. Every query is split into block-range chunks, and the chunks of
+// all of them share the MAX_LOG_REQUESTS limit.
+const getRecentLogs = async (publicClient, queries, latest) => {
+  const ranges = [];
+  const first = latest > EVENT_LOOKBACK_BLOCKS ? latest - EVENT_LOOKBACK_BLOCKS : 0n;
+  for (let fromBlock = first; fromBlock <= latest; fromBlock += LOG_CHUNK_BLOCKS) {
+    const toBlock = fromBlock + LOG_CHUNK_BLOCKS - 1n < latest ? fromBlock + LOG_CHUNK_BLOCKS - 1n : latest;
+    ranges.push({ fromBlock, toBlock });
+  }
+  const entries = Object.entries(queries);
+  const tasks = entries.flatMap(([, query]) => ranges.map((range) => () => publicClient.getLogs({ ...query, ...range })));
+  const chunks = await runLimited(tasks, MAX_LOG_REQUESTS);
+  return Object.fromEntries(entries.map(([name], index) => [name, chunks.slice(index * ranges.length, (index + 1) * ranges.length).flat()]));
+};
+
+const fromLog = (log, entry) => ({
+  id: `${log.transactionHash}:${log.logIndex}`,
+  hash: log.transactionHash,
+  userOpHash: null,
+  status: "confirmed",
+  gasPaid: null,
+  sponsored: false,
+  blockNumber: Number(log.blockNumber),
+  timestamp: null,
+  source: "chain",
+  ...entry,
+});
+
+// Recent score events of the Smart Account on `contracts` and WMON transfers
+// in or out of either account; those sent by `rewardContract` are reward
+// claims. Either contract version may sit at any of `contracts`, so both
+// score events are looked for on all of them.
+export const fetchChainActivity = async (publicClient, { chainId, accounts, contracts, rewardContract, wmonAddress }) => {
+  const players = [accounts.main, accounts.smart].filter(Boolean);
+  if (players.length === 0) return [];
+  const latest = await publicClient.getBlockNumber();
+
+  const queries = {};
+  if (accounts.smart && contracts.length > 0) {
+    queries.saved = { address: contracts, event: SCORE_SAVED_EVENT, args: { player: accounts.smart } };
+    queries.verified = { address: contracts, event: SCORE_VERIFIED_EVENT, args: { player: accounts.smart } };
+  }
+  if (wmonAddress) {
+    queries.sent = { address: wmonAddress, event: TRANSFER_EVENT, args: { from: players } };
+    queries.received = { address: wmonAddress, event: TRANSFER_EVENT, args: { to: players } };
+  }
+  const { saved = [], verified = [], sent = [], received = [] } = await getRecentLogs(publicClient, queries, latest);
+  const transfers = [...sent, ...received.filter((log) => !walletOf(log.args.from, accounts))];
+
+  return [
+    ...[...saved, ...verified].map((log) => fromLog(log, {
+      kind: "scoreSave",
+      chainId,
+      account: log.args.player,
+      wallet: "smart",
+      details: { score: Number(log.args.score) },
+    })),
+    ...transfers.map((log) => {
+      if (sameAddress(log.args.from, rewardContract)) {
+        return fromLog(log, {
+          kind: "claim",
+          chainId,
+          account: log.args.to,
+          wallet: walletOf(log.args.to, accounts),
+          details: { token: "WMON", amount: Number(log.args.value) / 1e18 },
+        });
+      }
+      const outgoing = Boolean(walletOf(log.args.from, accounts));
+      return fromLog(log, {
+        kind: "transfer",
+        chainId,
+        account: outgoing ? log.args.from : log.args.to,
+        wallet: walletOf(outgoing ? log.args.from : log.args.to, accounts),
+        details: { token: "WMON", amount: Number(log.args.value) / 1e18, from: log.args.from, to: log.args.to },
+      });
+    }),
+  ];
+};
+
+// Status, block and gas paid from a transaction's receipt. Gas only counts
+// when `payer` sent the transaction itself: a bundled user operation's gas is
+// the one from its user-operation receipt, logged when it settled.
+const receiptChanges = async (publicClient, hash, payer) => {
+  try {
+    const receipt = await publicClient.getTransactionReceipt({ hash });
+    return {
+      status: receipt.status === "success" ? "confirmed" : "failed",
+      blockNumber: Number(receipt.blockNumber),
+      ...(sameAddress(receipt.from, payer) ? { gasPaid: String(receipt.gasUsed * receipt.effectiveGasPrice) } : {}),
+    };
+  } catch {
+    // Not mined yet
+    return null;
+  }
+};
+
+// Resolves logged transactions of `accounts` that are still pending or miss
+// their block, keeping what the receipts say in the log. Resolves to the log.
+export const refreshLoggedReceipts = async (publicClient, { chainId, accounts }) => {
+  const unresolved = loggedTransactions(loadTransactionLog(), { chainId, accounts }).filter((entry) => entry.hash && (entry.status === "pending" || entry.blockNumber === null));
+  await Promise.all(unresolved.map(async (entry) => {
+    const changes = await receiptChanges(publicClient, entry.hash, entry.wallet === "main" ? entry.account : null);
+    if (changes) updateTransaction(entry.id, changes);
+  }));
+  return loadTransactionLog();
+};
+
+// Gas paid for chain entries sent by the main wallet, which the events lack
+export const withGasPaid = (publicClient, entries, accounts) =>
+  Promise.all(entries.map(async (entry) => {
+    if (entry.wallet !== "main" || !sameAddress(entry.details.from, accounts.main)) return entry;
+    return { ...entry, ...(await receiptChanges(publicClient, entry.hash, accounts.main)) };
+  }));
+
+// The entries of `log` sent on `chainId` by one of `accounts`
+export const loggedTransactions = (log, { chainId, accounts }) =>
+  log.filter((entry) => entry.chainId === chainId && walletOf(entry.account, accounts));
+
+// The log wins over events for the same transaction. Pending entries come
+// first, then the most recent block.
+export const mergeHistory = (logged, chainEntries) => {
+  const loggedHashes = new Set(logged.map((entry) => entry.hash?.toLowerCase()).filter(Boolean));
+  return [...logged, ...chainEntries.filter((entry) => !loggedHashes.has(entry.hash.toLowerCase()))].sort((a, b) =>
+    (b.status === "pending") - (a.status === "pending") ||
+    (b.blockNumber ?? Infinity) - (a.blockNumber ?? Infinity) ||
+    (b.timestamp ?? 0) - (a.timestamp ?? 0));
+};
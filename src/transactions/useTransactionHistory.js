@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useState } from "react";
+import { loadTransactionLog, logTransaction, updateTransaction } from "../storage/transactionLog.js";
+import { fetchChainActivity, loggedTransactions, mergeHistory, refreshLoggedReceipts, withGasPaid } from "./transactionHistory.js";
+
+// Transaction history of the main wallet `main` and Smart Account `smart`.
+// WMON received from `rewardContract` shows as reward claims.
+// The chain is only queried while `active` (the History tab is open);
+// `record` and `update` write the local log, which shows straight away.
+export const useTransactionHistory = ({ publicClient, chainId, main, smart, contracts, rewardContract, wmonAddress, active }) => {
+  const [chainEntries, setChainEntries] = useState([]);
+  const [log, setLog] = useState(loadTransactionLog);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [refreshes, setRefreshes] = useState(0);
+  const contractList = contracts.filter(Boolean).join(",");
+
+  useEffect(() => {
+    setChainEntries([]);
+    if (!active || !publicClient || (!main && !smart)) return;
+    let cancelled = false;
+    const accounts = { main, smart };
+    setLoading(true);
+    setError(null);
+    Promise.all([
+      refreshLoggedReceipts(publicClient, { chainId, accounts }).then((next) => !cancelled && setLog(next)),
+      fetchChainActivity(publicClient, { chainId, accounts, contracts: contractList ? contractList.split(",") : [], rewardContract, wmonAddress })
+        .then((entries) => withGasPaid(publicClient, entries, accounts))
+        .then((entries) => !cancelled && setChainEntries(entries)),
+    ])
+      .catch((err) => {
+        console.warn("Failed to load transaction history:", err);
+        if (!cancelled) setError(err);
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [active, publicClient, chainId, main, smart, contractList, rewardContract, wmonAddress, refreshes]);
+
+  const entries = useMemo(
+    () => mergeHistory(loggedTransactions(log, { chainId, accounts: { main, smart } }), chainEntries),
+    [log, chainEntries, chainId, main, smart],
+  );
+
+  const record = (entry) => setLog(logTransaction({ chainId, ...entry }));
+
+  const update = (id, changes) => setLog(updateTransaction(id, changes));
+
+  return { entries, loading, error, refresh: () => setRefreshes((n) => n + 1), record, update };
+};
@@ -0,0 +1,48 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { loadPendingUserOps } from "../storage/pendingUserOps.js";
+import { createUserOpService } from "./userOpService.js";
+
+// How often queued operations are checked on again while any are left
+const RESUME_INTERVAL_MS = 30000;
+
+// React binding for the user-operation service: one service per bundler and
+// chain, which keeps resuming the queued operations until they settle,
+// including those left from earlier visits.
+// `getGasPreset`, `ensureGas`, `onSubmitted` and `onSettled` are read fresh on
+// every call, so they can close over the latest state.
+export const useUserOps = ({ bundlerClient, sponsorship, chainId, getGasPreset, ensureGas, onSubmitted, onSettled }) => {
+  const [queue, setQueue] = useState(loadPendingUserOps);
+  const callbacksRef = useRef({ getGasPreset, ensureGas, onSubmitted, onSettled });
+  callbacksRef.current = { getGasPreset, ensureGas, onSubmitted, onSettled };
+
+  const service = useMemo(() => {
+    if (!bundlerClient) return null;
+    return createUserOpService({
+      bundlerClient,
+      sponsorship,
+      chainId,
+      getGasPreset: () => callbacksRef.current.getGasPreset(),
+      ensureGas: (...args) => callbacksRef.current.ensureGas(...args),
+      onSubmitted: (entry) => callbacksRef.current.onSubmitted?.(entry),
+      onSettled: (entry, receipt) => callbacksRef.current.onSettled?.(entry, receipt),
+      onChange: setQueue,
+    });
+  }, [bundlerClient, sponsorship, chainId]);
+
+  const pending = queue.filter((entry) => entry.chainId === chainId);
+  const hasPending = pending.length > 0;
+
+  useEffect(() => {
+    if (!service || !hasPending) return;
+    service.resume();
+    const timer = setInterval(() => service.resume(), RESUME_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [service, hasPending]);
+
+  const send = async (operation) => {
+    if (!service) throw new Error("Smart Account service not available");
+    return service.send(operation);
+  };
+
+  return { pending, ready: service !== null, send };
+};
@@ -0,0 +1,172 @@
+import { addPendingUserOp, loadPendingUserOps, removePendingUserOp } from "../storage/pendingUserOps.js";
+import { isPaymasterError } from "../paymaster/sponsorship.js";
+
+// How long one wait for a receipt lasts, and how many are made
+const RECEIPT_TIMEOUT_MS = 180000;
+const RECEIPT_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+// Queued operations the bundler still doesn't know after this are given up on
+const MAX_PENDING_AGE_MS = 60 * 60 * 1000;
+// Headroom over the estimated gas cost when checking the account's balance
+const GAS_BUFFER = 1.2;
+
+export const gweiToWei = (gwei) => {
+  const n = Number(gwei);
+  if (Number.isNaN(n)) throw new Error("Invalid gwei value");
+  return BigInt(Math.round(n * 1e9));
+};
+
+// MON needed for `estimatedGas` at `maxFeePerGas` wei
+export const requiredGasMON = (maxFeePerGas, estimatedGas) => (Number(maxFeePerGas) * estimatedGas * GAS_BUFFER) / 1e18;
+
+const userOpError = (reason, message, details = {}) => Object.assign(new Error(message), { reason, ...details });
+
+// Why a user operation failed: "insufficientFunds", "paymaster", "rejected",
+// "reverted", "timeout", "verification" (the score verifier refused or
+// couldn't be reached; see api/scoreVerifier.js) or "unknown"
+export const classifyUserOpError = (error) => {
+  if (error?.reason) return error.reason;
+  const msg = `${error?.shortMessage || ""} ${error?.message || ""}`.toLowerCase();
+  if (msg.includes("insufficient funds") || msg.includes("aa21")) return "insufficientFunds";
+  if (isPaymasterError(error)) return "paymaster";
+  if (msg.includes("user rejected") || msg.includes("user denied")) return "rejected";
+  if (msg.includes("timeout") || msg.includes("timed out")) return "timeout";
+  return "unknown";
+};
+
+const isTimeout = (error) => classifyUserOpError(error) === "timeout";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sends user operations from the smart account and follows them to a receipt.
+// Every operation goes the same way: gas price from the bundler (or the
+// `getGasPreset()` fallback), paymaster sponsorship when asked for and
+// approved, otherwise `ensureGas(requiredMON, label)` to top the account up,
+// then submission and the wait for its receipt.
+//
+// Submitted operations are queued in localStorage until they settle, and
+// `onSettled(entry, receipt)` is called exactly once per operation, whether
+// it settles here or later through `resume`; `receipt` is null for one that
+// was given up on. `onChange(pending)` follows the queue.
+export const createUserOpService = ({ bundlerClient, sponsorship = null, chainId, getGasPreset, ensureGas, onSubmitted = () => {}, onSettled = () => {}, onChange = () => {} }) => {
+  const fetchGasPrice = async () => {
+    try {
+      const res = await bundlerClient.request({ method: "pimlico_getUserOperationGasPrice", params: [] });
+      const uop = res?.userOperationGasPrice || res;
+      const best = uop?.fast || uop?.standard || uop;
+      if (best?.maxFeePerGas && best?.maxPriorityFeePerGas) {
+        return { maxFeePerGas: BigInt(best.maxFeePerGas), maxPriorityFeePerGas: BigInt(best.maxPriorityFeePerGas) };
+      }
+    } catch (err) {
+      console.warn("Failed to fetch pimlico gas price:", err);
+    }
+    const { gwei } = getGasPreset();
+    return { maxFeePerGas: gweiToWei(gwei), maxPriorityFeePerGas: gweiToWei(Math.max(1, Math.floor(gwei * 0.1))) };
+  };
+
+  // Operations a receipt is being waited for, so `resume` never waits twice
+  const tracking = new Set();
+
+  const settle = (entry, receipt) => {
+    const remaining = removePendingUserOp(entry.hash);
+    if (!remaining) return;
+    onChange(remaining);
+    onSettled(entry, receipt);
+  };
+
+  // Resolves to the receipt, or null while the bundler still has no outcome
+  const waitForReceipt = async (hash) => {
+    for (let attempt = 1; attempt <= RECEIPT_ATTEMPTS; attempt++) {
+      try {
+        console.log(`🔄 Waiting for User Operation receipt (attempt ${attempt}/${RECEIPT_ATTEMPTS})...`);
+        return await bundlerClient.waitForUserOperationReceipt({ hash, timeout: RECEIPT_TIMEOUT_MS });
+      } catch (err) {
+        console.warn(`Attempt ${attempt} failed:`, err.message);
+        if (attempt === RECEIPT_ATTEMPTS) {
+          if (isTimeout(err)) return null;
+          throw err;
+        }
+        await delay(RETRY_DELAY_MS);
+      }
+    }
+    return null;
+  };
+
+  // Signs and sends an operation prepareUserOperation already filled in, so
+  // the bundler and paymaster aren't asked to prepare it a second time
+  const sendPrepared = async ({ account, ...userOperation }) => {
+    const signature = await account.signUserOperation(userOperation);
+    return bundlerClient.sendUserOperation({ ...userOperation, signature, entryPointAddress: account.entryPoint.address });
+  };
+
+  const submit = async (operation, { estimatedGas, label, sponsor }) => {
+    const sponsored = sponsor && sponsorship ? await sponsorship.sponsor(bundlerClient, operation) : null;
+    if (sponsored) {
+      try {
+        return { hash: await sendPrepared({ ...sponsored, account: operation.account }), sponsored: true };
+      } catch (err) {
+        // Approved up front but rejected on submission: pay for it instead
+        if (!isPaymasterError(err)) throw err;
+        console.warn(`⚠️ Sponsored ${label} failed, retrying with self-paid gas:`, err.shortMessage || err.message);
+      }
+    } else if (sponsor && sponsorship) {
+      console.log(`💸 ${label} not sponsored, the Smart Account pays for gas`);
+    }
+
+    const required = requiredGasMON(operation.maxFeePerGas, estimatedGas);
+    if (!(await ensureGas(required, label))) {
+      throw userOpError("insufficientFunds", `Smart Account needs ~${required.toFixed(6)} MON for gas`, { requiredGasMON: required });
+    }
+    return { hash: await bundlerClient.sendUserOperation(operation), sponsored: false };
+  };
+
+  return {
+    // Sends `calls` from `account`. `kind` and `meta` are kept with the queued
+    // operation for `onSettled`. Resolves to { status, hash, receipt,
+    // sponsored }, `status` being "confirmed", "failed" (reverted) or
+    // "pending" when no receipt came in time; a pending operation stays
+    // queued for `resume` to pick up.
+    async send({ kind, account, calls, estimatedGas = 200000, sponsor = false, label = kind, meta = {} }) {
+      const gasPrice = await fetchGasPrice();
+      const operation = { account, calls, ...gasPrice };
+      console.log(`🔄 Sending ${label} via Smart Account with Pimlico`);
+      const { hash, sponsored } = await submit(operation, { estimatedGas, label, sponsor });
+      console.log(`✅ ${label} user operation submitted${sponsored ? " (sponsored)" : ""}:`, hash);
+
+      const entry = { hash, kind, chainId, account: account.address, sponsored, meta, submittedAt: Date.now() };
+      tracking.add(hash);
+      onChange(addPendingUserOp(entry));
+      onSubmitted(entry);
+
+      let receipt;
+      try {
+        receipt = await waitForReceipt(hash);
+      } finally {
+        tracking.delete(hash);
+      }
+      if (!receipt) return { status: "pending", hash, receipt: null, sponsored };
+      settle(entry, receipt);
+      return { status: receipt.success ? "confirmed" : "failed", hash, receipt, sponsored };
+    },
+
+    // Waits again on the operations queued on this chain that nothing is
+    // waiting on, e.g. after a reload or a send that timed out. Meant to be
+    // called repeatedly while the queue isn't empty.
+    resume() {
+      const queued = loadPendingUserOps().filter((entry) => entry.chainId === chainId && !tracking.has(entry.hash));
+      if (queued.length > 0) console.log(`🔄 Resuming ${queued.length} pending user operation(s)...`);
+      return Promise.all(queued.map(async (entry) => {
+        tracking.add(entry.hash);
+        try {
+          const receipt = await waitForReceipt(entry.hash);
+          if (receipt) settle(entry, receipt);
+          else if (Date.now() - entry.submittedAt > MAX_PENDING_AGE_MS) settle(entry, null);
+        } catch (err) {
+          console.warn(`Failed to track user operation ${entry.hash}:`, err);
+        } finally {
+          tracking.delete(entry.hash);
+        }
+      }));
+    },
+  };
+};
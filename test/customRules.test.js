@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CUSTOM_LIMITS, customRules, DEFAULT_CUSTOM_SETTINGS, decodeChallengeCode, encodeChallengeCode, isCustomRules } from "../src/game/customRules.js";
+
+test("a challenge code decodes to the settings it was made from", () => {
+  const settings = { ...DEFAULT_CUSTOM_SETTINGS, seed: 123456, duration: 45000, spawnWeights: { ego: 50, bomb: 20, golden: 0, clock: 5, freeze: 1 } };
+  assert.deepEqual(decodeChallengeCode(encodeChallengeCode(settings)), settings);
+});
+
+test("settings outside their limits are pulled back in", () => {
+  const code = encodeChallengeCode({ ...DEFAULT_CUSTOM_SETTINGS, seed: 1, duration: 1e9, spawnInterval: 0, spawnWeights: { ego: 1e6, bomb: -5 } });
+  const settings = decodeChallengeCode(code);
+  assert.equal(settings.duration, CUSTOM_LIMITS.duration.max);
+  assert.equal(settings.spawnInterval, CUSTOM_LIMITS.spawnInterval.min);
+  assert.equal(settings.spawnWeights.bomb, 0);
+});
+
+test("broken or foreign codes are rejected", () => {
+  assert.throws(() => encodeChallengeCode(DEFAULT_CUSTOM_SETTINGS), /needs a seed/);
+  assert.throws(() => decodeChallengeCode("1-2-3!"), /not valid/);
+  assert.throws(() => decodeChallengeCode("2-1-1-1-1-1-1-1-1-1-1"), /unsupported version/);
+  assert.throws(() => decodeChallengeCode("1-1-1-1-1-1-1"), /incomplete/);
+});
+
+test("custom rules are timed games marked as custom", () => {
+  const rules = customRules({ ...DEFAULT_CUSTOM_SETTINGS, seed: 7 }, { imageCount: 12 });
+  assert.equal(rules.mode, "timed");
+  assert.equal(rules.imageCount, 12);
+  assert.ok(isCustomRules(rules));
+});
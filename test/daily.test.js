@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DAILY_CHALLENGE, dailyChallengeId, dailyRules, dailySeed, msUntilNextChallenge, shiftChallengeId } from "../src/game/daily.js";
+import { rulesForGame } from "../src/game/modes.js";
+
+test("everyone gets the same challenge for the whole UTC day", () => {
+  const morning = new Date(Date.UTC(2026, 9, 19, 0, 0, 1));
+  const night = new Date(Date.UTC(2026, 9, 19, 23, 59, 59));
+  assert.equal(dailyChallengeId(morning), "2026-10-19");
+  assert.equal(dailyChallengeId(night), "2026-10-19");
+  assert.equal(dailySeed(dailyChallengeId(morning)), dailySeed(dailyChallengeId(night)));
+  assert.notEqual(dailySeed("2026-10-19"), dailySeed("2026-10-20"));
+  assert.equal(msUntilNextChallenge(night), 1000);
+});
+
+test("challenge ids step across months and years", () => {
+  assert.equal(shiftChallengeId("2026-12-31", 1), "2027-01-01");
+  assert.equal(shiftChallengeId("2026-03-01", -1), "2026-02-28");
+});
+
+test("the daily rules don't depend on the pickers", () => {
+  assert.deepEqual(dailyRules({ imageCount: 12 }), rulesForGame({ ...DAILY_CHALLENGE, imageCount: 12 }));
+  assert.equal(dailyRules().mode, "timed");
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGameEngine, simulateGame } from "../src/game/engine.js";
+import { createRules } from "../src/game/rules.js";
+import { playGame } from "./play.js";
+
+test("the same seed, rules and clicks give the same game", () => {
+  const rules = createRules();
+  const clicks = playGame(42, rules);
+  const first = simulateGame({ seed: 42, rules, clicks });
+  const second = simulateGame({ seed: 42, rules, clicks });
+  assert.ok(first.score > 0);
+  assert.deepEqual(second, first);
+});
+
+test("different seeds spawn different objects", () => {
+  const rules = createRules();
+  const objectsAt = (seed) => {
+    const engine = createGameEngine({ seed, rules, clock: { now: () => 0 } });
+    engine.advanceTo(900);
+    return engine.getSnapshot().objects.map(({ x, y }) => ({ x, y }));
+  };
+  assert.deepEqual(objectsAt(1), objectsAt(1));
+  assert.notDeepEqual(objectsAt(1), objectsAt(2));
+});
+
+test("hits build the multiplier and misses cost points down to zero", () => {
+  const rules = createRules();
+  const engine = createGameEngine({ seed: 7, rules, clock: { now: () => 0 } });
+
+  assert.ok(engine.bust(1, 0));
+  // 10 points at 1.1x
+  assert.equal(engine.getSnapshot().score, 11);
+  assert.ok(engine.bust(2, 200));
+  // 10 points at 1.2x, less the decay over 200ms
+  assert.equal(engine.getSnapshot().score, 11 + Math.round(10 * (1.1 - 0.05 + 0.1)));
+  const afterHits = engine.getSnapshot().score;
+
+  engine.miss(300);
+  assert.equal(engine.getSnapshot().combo, 0);
+  assert.equal(engine.getSnapshot().score, afterHits - rules.missPenalty);
+  for (let t = 310; t < 400; t += 10) engine.miss(t);
+  assert.equal(engine.getSnapshot().score, 0);
+});
+
+test("a game without clicks ends at its duration", () => {
+  const rules = createRules();
+  const result = simulateGame({ seed: 3, rules });
+  assert.equal(result.over, true);
+  assert.equal(result.time, rules.duration);
+  assert.equal(result.score, 0);
+  assert.ok(result.stats.expired > 0);
+});
+
+test("a zero spawn interval still ends the game", () => {
+  const result = simulateGame({ seed: 1, rules: createRules({ spawnInterval: 0 }) });
+  assert.equal(result.over, true);
+});
+
+test("survival has no time limit and ends only when the lives run out", () => {
+  const twoHours = 2 * 60 * 60 * 1000;
+  const engine = createGameEngine({ seed: 4, rules: createRules({ mode: "survival", spawnWeights: { bomb: 1 } }), clock: { now: () => 0 } });
+  engine.advanceTo(twoHours);
+  assert.equal(engine.getSnapshot().over, false);
+
+  const result = simulateGame({ seed: 4, rules: createRules({ mode: "survival" }) });
+  assert.equal(result.over, true);
+  assert.equal(result.lives, 0);
+});
+
+test("a zen replay without a recorded end stops at its last click", () => {
+  const rules = createRules({ mode: "zen" });
+  const clicks = playGame(5, createRules({ duration: 5000 }));
+  const result = simulateGame({ seed: 5, rules, clicks });
+  assert.equal(result.over, true);
+  assert.equal(result.time, clicks.at(-1).t);
+  assert.equal(simulateGame({ seed: 5, rules, clicks, endedAt: 9000 }).time, 9000);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulateGame } from "../src/game/engine.js";
+import { createGhost } from "../src/game/ghost.js";
+import { createRules } from "../src/game/rules.js";
+import { playGame } from "./play.js";
+
+const ghostRun = () => {
+  const rules = createRules({ duration: 5000 });
+  const clicks = playGame(8, rules);
+  return { seed: 8, rules, clicks, score: null, endedAt: null };
+};
+
+test("a ghost's score follows its run to the final score", () => {
+  const replay = ghostRun();
+  const ghost = createGhost(replay, "Ghost");
+  const { score, time } = simulateGame(replay);
+
+  assert.equal(ghost.finalScore, score);
+  assert.equal(ghost.at(0).score, 0);
+  const halfway = ghost.at(time / 2).score;
+  assert.ok(halfway > 0 && halfway < score);
+  assert.equal(ghost.at(time).score, score);
+});
+
+test("a ghost shows its recent busts and never steps back in time", () => {
+  const replay = ghostRun();
+  const ghost = createGhost(replay, "Ghost");
+  const [first] = replay.clicks;
+
+  const { busts } = ghost.at(first.t + 50);
+  assert.deepEqual(busts, [{ x: first.x, y: first.y, age: 50 }]);
+  assert.equal(ghost.at(first.t).time, first.t + 50);
+});
@@ -0,0 +1,16 @@
+import { createGameEngine } from "../src/game/engine.js";
+
+// Clicks of a steady player who busts the oldest object on the field every
+// 100ms, recorded the way the game records them
+export const playGame = (seed, rules) => {
+  const engine = createGameEngine({ seed, rules, clock: { now: () => 0 } });
+  const clicks = [];
+  for (let t = 100; !engine.getSnapshot().over; t += 100) {
+    engine.advanceTo(t);
+    const [target] = engine.getSnapshot().objects;
+    if (!target) continue;
+    engine.bust(target.id, t);
+    clicks.push({ t, id: target.id, x: target.x, y: target.y });
+  }
+  return clicks;
+};
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulateGame } from "../src/game/engine.js";
+import { createRules } from "../src/game/rules.js";
+import { createReplay, parseReplay, recordClick, serializeReplay } from "../src/game/replay.js";
+import { playGame } from "./play.js";
+
+const replayText = (overrides = {}) => JSON.stringify({ version: 1, seed: 1, rules: {}, clicks: [], ...overrides });
+
+test("a serialized replay parses back to the same game", () => {
+  const rules = createRules({ spawnInterval: 150, imageCount: 12 });
+  const replay = createReplay({ seed: 99, rules });
+  playGame(99, rules).forEach((click) => recordClick(replay, click));
+  const { score } = simulateGame(replay);
+
+  const parsed = parseReplay(serializeReplay(replay, score));
+  assert.equal(parsed.seed, 99);
+  assert.deepEqual(parsed.rules, rules);
+  assert.equal(parsed.score, score);
+  assert.equal(simulateGame(parsed).score, score);
+});
+
+test("malformed replays are rejected", () => {
+  assert.throws(() => parseReplay("{"), /not valid JSON/);
+  assert.throws(() => parseReplay(replayText({ version: 2 })), /Unsupported replay version/);
+  assert.throws(() => parseReplay(replayText({ seed: "1" })), /missing its seed/);
+  assert.throws(() => parseReplay(replayText({ rules: null })), /missing its rules/);
+  assert.throws(() => parseReplay(replayText({ clicks: {} })), /missing its clicks/);
+  assert.throws(() => parseReplay(replayText({ clicks: [[100]] })), /invalid click/);
+  assert.throws(() => parseReplay(replayText({ clicks: [[100, 1, null, 0]] })), /invalid click/);
+});
+
+test("replays with rules the engine can't run are rejected", () => {
+  const withRules = (rules) => () => parseReplay(replayText({ rules }));
+  assert.throws(withRules({ spawnInterval: 0 }), /invalid spawnInterval/);
+  assert.throws(withRules({ spawnInterval: -200 }), /invalid spawnInterval/);
+  assert.throws(withRules({ spawnIntervalEnd: 0 }), /invalid spawnIntervalEnd/);
+  assert.throws(withRules({ lifetime: "1000" }), /invalid lifetime/);
+  assert.throws(withRules({ duration: 1e12 }), /invalid duration/);
+  assert.throws(withRules({ maxObjects: 1e6 }), /invalid maxObjects/);
+  assert.throws(withRules({ imageCount: 0.5 }), /invalid imageCount/);
+  assert.throws(withRules({ mode: "endless" }), /unknown game mode/);
+  assert.throws(withRules({ spawnWeights: { ego: -1 } }), /invalid spawn weights/);
+  assert.throws(withRules({ mode: "survival", spawnWeights: { ego: 0, bomb: 5 } }), /cannot end/);
+});
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyUserOpError } from "../src/userOps/userOpService.js";
+
+test("user operation failures are told apart by what threw them", () => {
+  assert.equal(classifyUserOpError(Object.assign(new Error("Replay contains a click off its target"), { reason: "verification", status: 400 })), "verification");
+  assert.equal(classifyUserOpError(new Error("UserOperation reverted during simulation with reason: AA21 didn't pay prefund")), "insufficientFunds");
+  assert.equal(classifyUserOpError(new Error("User rejected the request.")), "rejected");
+  assert.equal(classifyUserOpError(new Error("The request timed out.")), "timeout");
+});
+
+test("paymaster failures are found by their codes anywhere in the cause chain", () => {
+  const reverted = new Error("Execution reverted", { cause: new Error("UserOperation reverted: AA33 reverted (or OOG)") });
+  assert.equal(classifyUserOpError(reverted), "paymaster");
+  assert.equal(classifyUserOpError(Object.assign(new Error("RPC Request failed."), { code: -32504 })), "paymaster");
+  // Words alone don't make a paymaster or verifier error
+  assert.equal(classifyUserOpError(new Error("Bundler session expired while sponsoring the replay")), "unknown");
+});
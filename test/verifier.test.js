@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { decodeFunctionData, encodeFunctionData, verifyTypedData } from "viem";
+import { generatePrivateKey, privateKeyToAccount } from "viem/accounts";
+import { createVerifier } from "../server/verifier.js";
+import { hasVoucherFunction, SCORE_VOUCHER_TYPES } from "../src/contracts/scoreVoucher.js";
+import { simulateGame } from "../src/game/engine.js";
+import { createReplay, recordClick, serializeReplay } from "../src/game/replay.js";
+import { playGame } from "./play.js";
+
+const PLAYER = "0x1111111111111111111111111111111111111111";
+const CONTRACT = "0x2222222222222222222222222222222222222222";
+
+// A verifier whose clock moves on by the game's length once it's played
+const setup = () => {
+  let time = Date.UTC(2026, 0, 1);
+  const verifier = createVerifier({
+    account: privateKeyToAccount(generatePrivateKey()),
+    chainId: 10143,
+    verifyingContract: CONTRACT,
+    now: () => time,
+  });
+  const session = verifier.createSession({ player: PLAYER });
+  const clicks = playGame(session.seed, session.rules);
+  time += simulateGame({ seed: session.seed, rules: session.rules, clicks }).time;
+  return { verifier, session, clicks };
+};
+
+const replayOf = (session, clicks, score = null) => {
+  const replay = createReplay({ seed: session.seed, rules: session.rules });
+  clicks.forEach((click) => recordClick(replay, click));
+  return serializeReplay(replay, score);
+};
+
+test("an honest replay gets a voucher for its score", async () => {
+  const { verifier, session, clicks } = setup();
+  const { score } = simulateGame({ seed: session.seed, rules: session.rules, clicks });
+
+  const { voucher, signature, signer } = await verifier.verifyGame({ sessionId: session.sessionId, player: PLAYER, replay: replayOf(session, clicks, score) });
+  assert.equal(voucher.score, score);
+  assert.equal(voucher.player, PLAYER);
+  const valid = await verifyTypedData({
+    address: signer,
+    domain: verifier.domain,
+    types: SCORE_VOUCHER_TYPES,
+    primaryType: "ScoreVoucher",
+    message: { ...voucher, score: BigInt(voucher.score), deadline: BigInt(voucher.deadline) },
+    signature,
+  });
+  assert.ok(valid);
+});
+
+test("the voucher contract's ABI takes the voucher as signed", async () => {
+  const abi = JSON.parse(readFileSync(new URL("../src/abi/EgoBustVerifiedRewards.json", import.meta.url)));
+  const { verifier, session, clicks } = setup();
+  const { voucher, signature } = await verifier.verifyGame({ sessionId: session.sessionId, player: PLAYER, replay: replayOf(session, clicks) });
+  const message = { ...voucher, score: BigInt(voucher.score), deadline: BigInt(voucher.deadline) };
+
+  const data = encodeFunctionData({ abi, functionName: "addScoreWithVoucher", args: [message, signature] });
+  assert.ok(hasVoucherFunction(data.slice(0, 10)));
+  assert.deepEqual(decodeFunctionData({ abi, data }).args, [message, signature]);
+});
+
+test("dropped clicks don't get the claimed score signed", async () => {
+  const { verifier, session, clicks } = setup();
+  const { score } = simulateGame({ seed: session.seed, rules: session.rules, clicks });
+  const fewer = clicks.slice(0, clicks.length / 2);
+
+  const { voucher } = await verifier.verifyGame({ sessionId: session.sessionId, player: PLAYER, replay: replayOf(session, fewer, score) });
+  assert.ok(voucher.score < score);
+  assert.equal(voucher.score, simulateGame({ seed: session.seed, rules: session.rules, clicks: fewer }).score);
+});
+
+test("clicks no player could have made are rejected", async () => {
+  const verifyWith = async (alter) => {
+    const { verifier, session, clicks } = setup();
+    return verifier.verifyGame({ sessionId: session.sessionId, player: PLAYER, replay: replayOf(session, alter(clicks)) });
+  };
+
+  // Aimed at an object that was never there, or far from the one it claims
+  await assert.rejects(verifyWith((clicks) => clicks.map((c) => ({ ...c, id: c.id + 1000 }))), { status: 400, message: /off its target/ });
+  await assert.rejects(verifyWith((clicks) => clicks.map((c) => ({ ...c, x: c.x + 200 }))), { status: 400, message: /off its target/ });
+  // Faster than a hand can click
+  await assert.rejects(
+    verifyWith((clicks) => clicks.map((c, i) => ({ ...c, t: 100 + i * 10 }))),
+    { status: 400, message: /faster than a person/ },
+  );
+  // After the game has ended
+  await assert.rejects(
+    verifyWith((clicks) => [...clicks, { t: clicks.at(-1).t + 60000, id: 0, x: 0, y: 0 }]),
+    { status: 400, message: /outside the game/ },
+  );
+});
+
+test("clicks outside the game or invalid clicks are rejected", async () => {
+  const early = setup();
+  await assert.rejects(
+    early.verifier.verifyGame({ sessionId: early.session.sessionId, player: PLAYER, replay: replayOf(early.session, [{ t: -500, id: 1, x: 0, y: 0 }, ...early.clicks]) }),
+    { status: 400, message: /outside the game/ },
+  );
+
+  const broken = setup();
+  const replay = JSON.parse(replayOf(broken.session, broken.clicks));
+  replay.clicks[0][1] = "1";
+  await assert.rejects(
+    broken.verifier.verifyGame({ sessionId: broken.session.sessionId, player: PLAYER, replay }),
+    { status: 400, message: /invalid click/ },
+  );
+});
+
+test("a replay is only verified once, for its own player and seed", async () => {
+  const { verifier, session, clicks } = setup();
+  await assert.rejects(
+    verifier.verifyGame({ sessionId: session.sessionId, player: CONTRACT, replay: replayOf(session, clicks) }),
+    { status: 403 },
+  );
+
+  const other = verifier.createSession({ player: PLAYER });
+  await assert.rejects(
+    verifier.verifyGame({ sessionId: other.sessionId, player: PLAYER, replay: replayOf(session, clicks) }),
+    { status: 400, message: /seed/ },
+  );
+
+  // Failed attempts leave the session open; a voucher closes it
+  await verifier.verifyGame({ sessionId: session.sessionId, player: PLAYER, replay: replayOf(session, clicks) });
+  await assert.rejects(
+    verifier.verifyGame({ sessionId: session.sessionId, player: PLAYER, replay: replayOf(session, clicks) }),
+    { status: 404 },
+  );
+});